@@ -0,0 +1,134 @@
+const path = require('path');
+const fs = require('fs');
+const sqlite3 = require('sqlite3').verbose();
+const migrations = require('./migrations');
+
+const databaseDir = path.join(__dirname, '..', 'database');
+if (!fs.existsSync(databaseDir)) fs.mkdirSync(databaseDir);
+
+// Одно соединение на весь сервер: запросы выполняются в порядке постановки в очередь
+const db = new sqlite3.Database(path.join(databaseDir, 'firemess.db'));
+
+// Промис-обертки над sqlite3
+function queryGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function queryAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+    });
+}
+
+function queryRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            err ? reject(err) : resolve(this);
+        });
+    });
+}
+
+// Транзакции идут по одной, а остальные запросы ждут, пока открытые и ожидающие транзакции
+// закончатся: иначе чужой запрос попал бы в транзакцию и откатился вместе с ней
+let transactions = Promise.resolve();
+let pendingTransactions = 0;
+
+function afterTransactions(query) {
+    if (pendingTransactions === 0) return query();
+    return transactions.then(() => afterTransactions(query));
+}
+
+// work получает свои dbGet, dbAll и dbRun — внутри транзакции работают только они,
+// общие функции из work дождались бы конца этой же транзакции. Ошибка откатывает все
+function dbTransaction(work) {
+    pendingTransactions++;
+    const result = transactions.then(async () => {
+        await queryRun('BEGIN IMMEDIATE');
+        try {
+            const value = await work({ dbGet: queryGet, dbAll: queryAll, dbRun: queryRun });
+            await queryRun('COMMIT');
+            return value;
+        } catch (error) {
+            await queryRun('ROLLBACK');
+            throw error;
+        }
+    });
+    transactions = result.catch(() => {}).then(() => {
+        pendingTransactions--;
+    });
+    return result;
+}
+
+function dbGet(sql, params = []) {
+    return afterTransactions(() => queryGet(sql, params));
+}
+
+function dbAll(sql, params = []) {
+    return afterTransactions(() => queryAll(sql, params));
+}
+
+function dbRun(sql, params = []) {
+    return afterTransactions(() => queryRun(sql, params));
+}
+
+// Несколько запросов подряд, без чужих между ними. Отдает строки каждого запроса;
+// если какой-то упал, остальные все равно выполняются, а промис отклоняется первой ошибкой.
+// Промис разрешается из колбэка последнего запроса, поэтому пустой список — сразу
+function dbSerialize(statements) {
+    if (statements.length === 0) return Promise.resolve([]);
+    return afterTransactions(() => new Promise((resolve, reject) => {
+        const results = [];
+        let failure = null;
+        db.serialize(() => {
+            statements.forEach(([sql, params = []], index) => {
+                db.all(sql, params, (err, rows) => {
+                    if (err && !failure) failure = err;
+                    results[index] = rows || [];
+                    if (index === statements.length - 1) {
+                        failure ? reject(failure) : resolve(results);
+                    }
+                });
+            });
+        });
+    }));
+}
+
+// Миграции применяются по порядку версий, каждая в своей транзакции, номер применённой
+// записывается в schema_version. Пересборке таблиц мешают внешние ключи, поэтому на время
+// миграций они выключены, а перед фиксацией каждая миграция проходит foreign_key_check.
+// Вызывается до того, как сервер начнет принимать запросы: в транзакцию не должно попасть чужое
+async function migrate() {
+    await dbRun(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+    )`);
+    const applied = new Set((await dbAll('SELECT version FROM schema_version')).map(row => row.version));
+
+    await dbRun('PRAGMA foreign_keys = OFF');
+    for (const migration of migrations) {
+        if (applied.has(migration.version)) continue;
+
+        await dbRun('BEGIN IMMEDIATE');
+        try {
+            await migration.up({ dbGet, dbAll, dbRun });
+            const violations = await dbAll('PRAGMA foreign_key_check');
+            if (violations.length) {
+                throw new Error(`нарушены внешние ключи в таблице ${violations[0].table}`);
+            }
+            await dbRun('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+                [migration.version, migration.name, new Date().toISOString()]);
+            await dbRun('COMMIT');
+        } catch (error) {
+            await dbRun('ROLLBACK');
+            error.message = `Миграция ${migration.version} (${migration.name}): ${error.message}`;
+            throw error;
+        }
+        console.log(`🗄️ Применена миграция ${migration.version}: ${migration.name}`);
+    }
+    await dbRun('PRAGMA foreign_keys = ON');
+}
+
+module.exports = { databaseDir, dbGet, dbAll, dbRun, dbSerialize, dbTransaction, migrate };
@@ -0,0 +1,512 @@
+// Миграции схемы по порядку версий. Применённую миграцию не меняют: любое изменение схемы —
+// новая миграция в конце списка. up получает промис-обертки над соединением
+// и выполняется внутри транзакции, которую открывает migrate() из db/index.js
+
+// Добавляет колонку, если ее нет: базы, созданные до появления миграций, догоняют схему
+async function addColumnIfMissing({ dbAll, dbRun }, table, column, definition) {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+        await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// В старых базах у пары могло накопиться несколько личных чатов. Остается чат с ключом
+// или самый ранний; сообщения, вложения и звонки дубликатов переезжают в него,
+// отметка о прочтении берется самая свежая, сами дубликаты удаляются.
+// Ключ пары — id обоих по возрастанию через «:», как в directChatKey
+async function mergeDuplicateDirectChats({ dbAll, dbRun }) {
+    const chats = await dbAll(`SELECT c.id, c.direct_key, MIN(cm.user_id) AS first_id, MAX(cm.user_id) AS second_id
+            FROM chats c
+            JOIN chat_members cm ON cm.chat_id = c.id
+            WHERE c.type = 'private'
+            GROUP BY c.id
+            HAVING COUNT(*) = 2
+            ORDER BY c.direct_key IS NULL, c.created_at, c.id`);
+
+    const pairs = new Map();
+    chats.forEach(chat => {
+        const key = `${chat.first_id}:${chat.second_id}`;
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push(chat);
+    });
+
+    let merged = 0;
+    for (const [key, [keep, ...duplicates]] of pairs) {
+        for (const duplicate of duplicates) {
+            await dbRun('UPDATE messages SET chat_id = ? WHERE chat_id = ?', [keep.id, duplicate.id]);
+            await dbRun('UPDATE messages SET forward_chat_id = ? WHERE forward_chat_id = ?', [keep.id, duplicate.id]);
+            await dbRun('UPDATE attachments SET chat_id = ? WHERE chat_id = ?', [keep.id, duplicate.id]);
+            await dbRun('UPDATE calls SET chat_id = ? WHERE chat_id = ?', [keep.id, duplicate.id]);
+            await dbRun(`UPDATE chat_members AS k
+                    SET last_read_message_id = d.last_read_message_id, last_read_time = d.last_read_time
+                    FROM chat_members AS d
+                    WHERE k.chat_id = ? AND d.chat_id = ? AND d.user_id = k.user_id
+                    AND d.last_read_time > COALESCE(k.last_read_time, '')`, [keep.id, duplicate.id]);
+            await dbRun('DELETE FROM chats WHERE id = ?', [duplicate.id]);
+            await dbRun('DELETE FROM chat_members WHERE chat_id = ?', [duplicate.id]);
+            merged++;
+        }
+        if (keep.direct_key !== key) {
+            await dbRun('UPDATE chats SET direct_key = ? WHERE id = ?', [key, keep.id]);
+        }
+    }
+    if (merged) {
+        console.log(`🔀 Объединено дублей личных чатов: ${merged}`);
+    }
+}
+
+// Внешний ключ в SQLite добавляется только пересборкой таблицы: новая таблица под временным
+// именем, перенос строк, удаление старой и переименование. rowid сохраняется —
+// по нему сообщения связаны с полнотекстовым индексом messages_fts.
+// where отбирает переносимые строки, values подменяет значения отдельных колонок
+async function rebuildTable({ dbAll, dbRun }, table, { definition, indexes = [], where = '1', values = {} }) {
+    const columns = (await dbAll(`PRAGMA table_info(${table})`)).map(c => c.name);
+    const selected = columns.map(column => values[column] || column);
+    await dbRun(`CREATE TABLE ${table}_new (${definition})`);
+    await dbRun(`INSERT INTO ${table}_new (rowid, ${columns.join(', ')})
+            SELECT rowid, ${selected.join(', ')} FROM ${table} WHERE ${where}`);
+    await dbRun(`DROP TABLE ${table}`);
+    await dbRun(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+    for (const index of indexes) {
+        await dbRun(index);
+    }
+}
+
+module.exports = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        // Схема на момент появления миграций. Базы той поры уже содержат часть таблиц,
+        // поэтому все создается через IF NOT EXISTS, а недостающие колонки добавляются
+        async up(db) {
+            const { dbRun } = db;
+
+            // Пользователи
+            await dbRun(`CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                username TEXT UNIQUE,
+                fullname TEXT,
+                email TEXT,
+                avatar TEXT,
+                password_hash TEXT,
+                online BOOLEAN DEFAULT 0,
+                last_seen DATETIME,
+                last_seen_privacy TEXT DEFAULT 'everyone',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Сообщения
+            await dbRun(`CREATE TABLE IF NOT EXISTS messages (
+                id TEXT PRIMARY KEY,
+                chat_id TEXT,
+                sender_id TEXT,
+                text TEXT,
+                image TEXT,
+                file TEXT,
+                file_name TEXT,
+                file_size INTEGER,
+                time DATETIME,
+                read BOOLEAN DEFAULT 0,
+                edited BOOLEAN DEFAULT 0,
+                deleted BOOLEAN DEFAULT 0,
+                attachment_id TEXT,
+                kind TEXT DEFAULT 'text',
+                meta TEXT,
+                views INTEGER DEFAULT 0,
+                reply_to TEXT,
+                forward_sender_id TEXT,
+                forward_sender_name TEXT,
+                forward_chat_id TEXT,
+                edited_at DATETIME
+            )`);
+
+            // Чаты
+            await dbRun(`CREATE TABLE IF NOT EXISTS chats (
+                id TEXT PRIMARY KEY,
+                name TEXT,
+                type TEXT DEFAULT 'private',
+                avatar TEXT,
+                handle TEXT,
+                description TEXT,
+                allowed_reactions TEXT,
+                direct_key TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            // Участники чатов
+            await dbRun(`CREATE TABLE IF NOT EXISTS chat_members (
+                chat_id TEXT,
+                user_id TEXT,
+                role TEXT DEFAULT 'member',
+                joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_read_message_id TEXT,
+                last_read_time DATETIME,
+                PRIMARY KEY (chat_id, user_id)
+            )`);
+
+            // Просмотры постов в каналах: каждый подписчик учитывается один раз
+            await dbRun(`CREATE TABLE IF NOT EXISTS message_views (
+                message_id TEXT,
+                user_id TEXT,
+                viewed_at DATETIME,
+                PRIMARY KEY (message_id, user_id)
+            )`);
+
+            // Приглашения в группы по ссылке
+            await dbRun(`CREATE TABLE IF NOT EXISTS chat_invites (
+                code TEXT PRIMARY KEY,
+                chat_id TEXT,
+                created_by TEXT,
+                expires_at DATETIME,
+                max_uses INTEGER,
+                uses INTEGER DEFAULT 0,
+                revoked BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_chat_invites_chat ON chat_invites (chat_id)');
+
+            // Журнал событий чатов для каждого пользователя: по нему клиент догоняет пропущенное
+            await dbRun(`CREATE TABLE IF NOT EXISTS user_events (
+                user_id TEXT,
+                seq INTEGER,
+                type TEXT,
+                payload TEXT,
+                created_at DATETIME,
+                PRIMARY KEY (user_id, seq)
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_user_events_created ON user_events (created_at)');
+
+            // Прежние версии отредактированных сообщений: text — текст до правки
+            await dbRun(`CREATE TABLE IF NOT EXISTS message_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id TEXT,
+                text TEXT,
+                editor_id TEXT,
+                edited_at DATETIME
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions (message_id)');
+
+            // «Удалить у меня»: сообщение скрыто только для этого пользователя
+            await dbRun(`CREATE TABLE IF NOT EXISTS message_hidden (
+                message_id TEXT,
+                user_id TEXT,
+                hidden_at DATETIME,
+                PRIMARY KEY (user_id, message_id)
+            )`);
+
+            // Доставка и прочтение — отдельно для каждого получателя
+            await dbRun(`CREATE TABLE IF NOT EXISTS message_receipts (
+                message_id TEXT,
+                user_id TEXT,
+                delivered_at DATETIME,
+                read_at DATETIME,
+                PRIMARY KEY (message_id, user_id)
+            )`);
+
+            // Stories. type — text, image или video; медиа лежит во вложении без чата
+            await dbRun(`CREATE TABLE IF NOT EXISTS stories (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                content TEXT,
+                type TEXT DEFAULT 'text',
+                attachment_id TEXT,
+                audience TEXT DEFAULT 'everyone',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_stories_expires ON stories (expires_at)');
+
+            // Кому история не показывается, даже если он попадает в аудиторию
+            await dbRun(`CREATE TABLE IF NOT EXISTS story_hidden (
+                story_id TEXT,
+                user_id TEXT,
+                PRIMARY KEY (story_id, user_id)
+            )`);
+
+            await dbRun(`CREATE TABLE IF NOT EXISTS story_views (
+                story_id TEXT,
+                user_id TEXT,
+                viewed_at DATETIME,
+                PRIMARY KEY (story_id, user_id)
+            )`);
+
+            // Близкие друзья — аудитория историй close_friends
+            await dbRun(`CREATE TABLE IF NOT EXISTS close_friends (
+                user_id TEXT,
+                friend_id TEXT,
+                added_at DATETIME,
+                PRIMARY KEY (user_id, friend_id)
+            )`);
+
+            // Реакции
+            await dbRun(`CREATE TABLE IF NOT EXISTS reactions (
+                message_id TEXT,
+                user_id TEXT,
+                reaction TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (message_id, user_id, reaction)
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_reactions_message ON reactions (message_id, created_at)');
+
+            // Контакты
+            await dbRun(`CREATE TABLE IF NOT EXISTS contacts (
+                user_id TEXT,
+                contact_id TEXT,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, contact_id)
+            )`);
+
+            // Черный список: blocked_id не пишет user_id в личку, не звонит и не видит его в сети
+            await dbRun(`CREATE TABLE IF NOT EXISTS blocked_users (
+                user_id TEXT,
+                blocked_id TEXT,
+                blocked_at DATETIME,
+                PRIMARY KEY (user_id, blocked_id)
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_blocked_users_blocked ON blocked_users (blocked_id)');
+
+            // Звонки
+            await dbRun(`CREATE TABLE IF NOT EXISTS calls (
+                id TEXT PRIMARY KEY,
+                caller_id TEXT,
+                receiver_id TEXT,
+                type TEXT,
+                status TEXT,
+                start_time DATETIME,
+                end_time DATETIME,
+                duration INTEGER,
+                answer_time DATETIME,
+                chat_id TEXT,
+                seen INTEGER DEFAULT 0
+            )`);
+
+            // Сессии
+            await dbRun(`CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME,
+                revoked BOOLEAN DEFAULT 0
+            )`);
+
+            // Вложения; сам файл лежит в uploads/ под своим sha256
+            await dbRun(`CREATE TABLE IF NOT EXISTS attachments (
+                id TEXT PRIMARY KEY,
+                owner_id TEXT,
+                chat_id TEXT,
+                message_id TEXT,
+                hash TEXT,
+                mime TEXT,
+                size INTEGER,
+                width INTEGER,
+                height INTEGER,
+                original_name TEXT,
+                has_thumbnail BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_attachments_hash ON attachments (hash)');
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_attachments_owner ON attachments (owner_id)');
+
+            // История чата листается курсором по (time, id)
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_messages_chat_time ON messages (chat_id, time, id)');
+
+            // Полнотекстовый поиск; rowid записи совпадает с rowid сообщения
+            await dbRun(`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                text,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`);
+            await dbRun(`INSERT INTO messages_fts (rowid, text)
+                    SELECT rowid, text FROM messages
+                    WHERE deleted = 0 AND text IS NOT NULL AND rowid NOT IN (SELECT rowid FROM messages_fts)`);
+
+            // Колонки, появившиеся позже самих таблиц
+            const columns = [
+                ['users', 'password_hash', 'TEXT'],
+                ['users', 'event_seq', 'INTEGER DEFAULT 0'],
+                ['users', 'last_seen_privacy', "TEXT DEFAULT 'everyone'"],
+                ['chat_members', 'role', "TEXT DEFAULT 'member'"],
+                ['chat_members', 'last_read_message_id', 'TEXT'],
+                ['chat_members', 'last_read_time', 'DATETIME'],
+                ['messages', 'attachment_id', 'TEXT'],
+                ['messages', 'kind', "TEXT DEFAULT 'text'"],
+                ['messages', 'meta', 'TEXT'],
+                ['messages', 'views', 'INTEGER DEFAULT 0'],
+                ['messages', 'reply_to', 'TEXT'],
+                ['messages', 'forward_sender_id', 'TEXT'],
+                ['messages', 'forward_sender_name', 'TEXT'],
+                ['messages', 'forward_chat_id', 'TEXT'],
+                ['messages', 'edited_at', 'DATETIME'],
+                ['stories', 'attachment_id', 'TEXT'],
+                ['stories', 'audience', "TEXT DEFAULT 'everyone'"],
+                ['chats', 'handle', 'TEXT'],
+                ['chats', 'description', 'TEXT'],
+                // JSON-массив разрешенных реакций, NULL — любые
+                ['chats', 'allowed_reactions', 'TEXT'],
+                ['chats', 'direct_key', 'TEXT'],
+                ['calls', 'answer_time', 'DATETIME'],
+                ['calls', 'chat_id', 'TEXT'],
+                // seen — получатель уже видел пропущенный звонок в журнале
+                ['calls', 'seen', 'INTEGER DEFAULT 0']
+            ];
+            for (const [table, column, definition] of columns) {
+                await addColumnIfMissing(db, table, column, definition);
+            }
+
+            // Счетчики ответов и ветки обсуждений
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages (reply_to)');
+            // Публичные каналы ищутся по уникальному handle без учета регистра
+            await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_handle ON chats (handle COLLATE NOCASE)');
+            // Дубли личных чатов сливаются до создания уникального индекса, иначе он не построится
+            await mergeDuplicateDirectChats(db);
+            await dbRun('CREATE UNIQUE INDEX IF NOT EXISTS idx_chats_direct_key ON chats (direct_key)');
+        }
+    },
+    {
+        version: 2,
+        name: 'foreign_keys',
+        // Сообщения, участники и реакции ссылаются на чаты, пользователей и сообщения.
+        // Осиротевшие строки (чата или пользователя уже нет) при переносе отбрасываются,
+        // ответ на несуществующее сообщение становится обычным сообщением.
+        // sender_id ключом не стал: приветствия общего чата подписаны системой без строки в users
+        async up(db) {
+            const { dbRun } = db;
+
+            await dbRun(`DELETE FROM messages_fts WHERE rowid IN
+                    (SELECT rowid FROM messages WHERE chat_id IS NULL OR chat_id NOT IN (SELECT id FROM chats))`);
+            await rebuildTable(db, 'messages', {
+                definition: `
+                    id TEXT PRIMARY KEY,
+                    chat_id TEXT NOT NULL REFERENCES chats (id) ON DELETE CASCADE,
+                    sender_id TEXT,
+                    text TEXT,
+                    image TEXT,
+                    file TEXT,
+                    file_name TEXT,
+                    file_size INTEGER,
+                    time DATETIME,
+                    read BOOLEAN DEFAULT 0,
+                    edited BOOLEAN DEFAULT 0,
+                    deleted BOOLEAN DEFAULT 0,
+                    attachment_id TEXT,
+                    kind TEXT DEFAULT 'text',
+                    meta TEXT,
+                    views INTEGER DEFAULT 0,
+                    reply_to TEXT REFERENCES messages (id) ON DELETE SET NULL,
+                    forward_sender_id TEXT,
+                    forward_sender_name TEXT,
+                    forward_chat_id TEXT,
+                    edited_at DATETIME`,
+                indexes: [
+                    'CREATE INDEX idx_messages_chat_time ON messages (chat_id, time, id)',
+                    'CREATE INDEX idx_messages_reply_to ON messages (reply_to)'
+                ],
+                where: 'chat_id IN (SELECT id FROM chats)',
+                values: { reply_to: 'CASE WHEN reply_to IN (SELECT id FROM messages) THEN reply_to END' }
+            });
+
+            await rebuildTable(db, 'chat_members', {
+                definition: `
+                    chat_id TEXT REFERENCES chats (id) ON DELETE CASCADE,
+                    user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+                    role TEXT DEFAULT 'member',
+                    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_read_message_id TEXT,
+                    last_read_time DATETIME,
+                    PRIMARY KEY (chat_id, user_id)`,
+                where: 'chat_id IN (SELECT id FROM chats) AND user_id IN (SELECT id FROM users)'
+            });
+
+            await rebuildTable(db, 'reactions', {
+                definition: `
+                    message_id TEXT REFERENCES messages (id) ON DELETE CASCADE,
+                    user_id TEXT REFERENCES users (id) ON DELETE CASCADE,
+                    reaction TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (message_id, user_id, reaction)`,
+                indexes: ['CREATE INDEX idx_reactions_message ON reactions (message_id, created_at)'],
+                where: 'message_id IN (SELECT id FROM messages) AND user_id IN (SELECT id FROM users)'
+            });
+        }
+    },
+    {
+        version: 3,
+        name: 'member_and_reaction_indexes',
+        // Чаты пользователя и его реакции ищутся по user_id, а первичные ключи начинаются
+        // с чата и сообщения. Заодно индексы нужны для каскадного удаления пользователя
+        async up({ dbRun }) {
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_chat_members_user ON chat_members (user_id)');
+            await dbRun('CREATE INDEX IF NOT EXISTS idx_reactions_user ON reactions (user_id)');
+        }
+    },
+    {
+        version: 4,
+        name: 'bots',
+        // Бот — пользователь с is_bot = 1 без пароля; в bots — владелец, хеш токена и вебхук.
+        // bot_updates — очередь обновлений, которые бот еще не забрал getUpdates или вебхуком
+        async up({ dbRun }) {
+            await dbRun('ALTER TABLE users ADD COLUMN is_bot INTEGER DEFAULT 0');
+            await dbRun(`CREATE TABLE bots (
+                user_id TEXT PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+                owner_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                token_hash TEXT NOT NULL,
+                webhook_url TEXT,
+                webhook_secret TEXT,
+                created_at DATETIME
+            )`);
+            await dbRun('CREATE UNIQUE INDEX idx_bots_token ON bots (token_hash)');
+            await dbRun('CREATE INDEX idx_bots_owner ON bots (owner_id)');
+            await dbRun(`CREATE TABLE bot_updates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                bot_id TEXT NOT NULL REFERENCES bots (user_id) ON DELETE CASCADE,
+                type TEXT,
+                payload TEXT,
+                created_at DATETIME
+            )`);
+            await dbRun('CREATE INDEX idx_bot_updates_bot ON bot_updates (bot_id, id)');
+        }
+    },
+    {
+        version: 5,
+        name: 'incoming_webhooks',
+        // Входящий вебхук принадлежит чату и пишет в него от имени интеграции; в базе только
+        // хеш токена. Отозванные остаются в таблице, чтобы история знала, чья это интеграция
+        async up({ dbRun }) {
+            await dbRun(`CREATE TABLE incoming_webhooks (
+                id TEXT PRIMARY KEY,
+                chat_id TEXT NOT NULL REFERENCES chats (id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                created_by TEXT REFERENCES users (id) ON DELETE SET NULL,
+                created_at DATETIME,
+                rotated_at DATETIME,
+                last_used_at DATETIME,
+                revoked_at DATETIME
+            )`);
+            await dbRun('CREATE UNIQUE INDEX idx_incoming_webhooks_token ON incoming_webhooks (token_hash)');
+            await dbRun('CREATE INDEX idx_incoming_webhooks_chat ON incoming_webhooks (chat_id)');
+        }
+    },
+    {
+        version: 6,
+        name: 'bot_update_retries',
+        // Недоставленное на вебхук обновление ждет своей попытки отдельно и не держит очередь
+        async up({ dbRun }) {
+            await dbRun('ALTER TABLE bot_updates ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0');
+            await dbRun('ALTER TABLE bot_updates ADD COLUMN next_attempt_at DATETIME');
+        }
+    },
+    {
+        version: 7,
+        name: 'clear_deleted_message_text',
+        // Раньше «удалить у всех» только помечало сообщение: текст, версии, вложение и meta оставались.
+        // Вложения отвязываются от сообщения и чата — файлы с диска уберет очистка неотправленных загрузок
+        async up({ dbRun }) {
+            await dbRun('DELETE FROM message_revisions WHERE message_id IN (SELECT id FROM messages WHERE deleted = 1)');
+            await dbRun(`UPDATE attachments SET message_id = NULL, chat_id = NULL
+                WHERE message_id IN (SELECT id FROM messages WHERE deleted = 1)`);
+            await dbRun(`UPDATE messages SET text = NULL, image = NULL, file = NULL, file_name = NULL, file_size = NULL,
+                attachment_id = NULL, meta = NULL
+                WHERE deleted = 1`);
+        }
+    }
+];
@@ -0,0 +1,69 @@
+const { dbGet, dbAll, dbRun } = require('..');
+
+// Вложения. Одинаковые файлы на диске хранятся один раз (по hash), а записей о них
+// может быть несколько: у каждой свой владелец, чат и сообщение
+
+function findAttachment(attachmentId) {
+    return dbGet('SELECT * FROM attachments WHERE id = ?', [attachmentId]);
+}
+
+// Загруженное в чат, но еще не отправленное вложение владельца
+function findUnsentAttachment(attachmentId, ownerId, chatId) {
+    return dbGet(`SELECT * FROM attachments
+            WHERE id = ? AND owner_id = ? AND chat_id = ? AND message_id IS NULL`,
+        [attachmentId, ownerId, chatId]);
+}
+
+// Медиа, загруженное для истории (purpose=story) и еще ни в одну не добавленное
+function findUnusedStoryMedia(attachmentId, ownerId) {
+    return dbGet(`SELECT * FROM attachments a
+            WHERE a.id = ? AND a.owner_id = ? AND a.chat_id IS NULL AND a.message_id IS NULL
+                AND NOT EXISTS (SELECT 1 FROM stories s WHERE s.attachment_id = a.id)`,
+        [attachmentId, ownerId]);
+}
+
+// Проверка квоты и вставка — один запрос, так что одновременные загрузки не превысят ее вместе.
+// false — с этим вложением владелец вышел бы за quota байт
+async function insertAttachmentWithinQuota(attachment, quota) {
+    const result = await dbRun(`INSERT INTO attachments (id, owner_id, chat_id, hash, mime, size, width, height, original_name, has_thumbnail, created_at)
+            SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+            WHERE (SELECT COALESCE(SUM(size), 0) FROM attachments WHERE owner_id = ?) + ? <= ?`,
+        [attachment.id, attachment.owner_id, attachment.chat_id, attachment.hash, attachment.mime, attachment.size,
+            attachment.width, attachment.height, attachment.original_name, attachment.has_thumbnail, attachment.created_at,
+            attachment.owner_id, attachment.size, quota]);
+    return result.changes > 0;
+}
+
+function linkAttachment(attachmentId, messageId) {
+    return dbRun('UPDATE attachments SET message_id = ? WHERE id = ?', [messageId, attachmentId]);
+}
+
+// Удаляет запись; true — других записей с тем же файлом не осталось и его можно стереть с диска
+async function deleteAttachment(attachment) {
+    await dbRun('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+    const other = await dbGet('SELECT id FROM attachments WHERE hash = ? LIMIT 1', [attachment.hash]);
+    return !other;
+}
+
+async function getStorageUsage(userId) {
+    const row = await dbGet('SELECT COALESCE(SUM(size), 0) AS used FROM attachments WHERE owner_id = ?', [userId]);
+    return row.used;
+}
+
+// Загруженные до cutoff и так и не отправленные ни в чат, ни в историю
+function selectStaleAttachments(cutoff) {
+    return dbAll(`SELECT * FROM attachments a
+            WHERE a.message_id IS NULL AND a.created_at < ?
+                AND NOT EXISTS (SELECT 1 FROM stories s WHERE s.attachment_id = a.id)`, [cutoff]);
+}
+
+module.exports = {
+    findAttachment,
+    findUnsentAttachment,
+    findUnusedStoryMedia,
+    insertAttachmentWithinQuota,
+    linkAttachment,
+    deleteAttachment,
+    getStorageUsage,
+    selectStaleAttachments
+};
@@ -0,0 +1,151 @@
+const { dbGet, dbAll, dbRun } = require('..');
+
+// Боты, их очередь обновлений и входящие вебхуки чатов. Токены хранятся только хешами
+
+const OWNED_BOT_QUERY = `SELECT u.id, u.username, u.fullname, u.avatar, b.webhook_url, b.created_at,
+        (SELECT COUNT(*) FROM bot_updates bu WHERE bu.bot_id = b.user_id) AS pending_updates
+    FROM bots b
+    JOIN users u ON u.id = b.user_id`;
+
+function selectBots() {
+    return dbAll('SELECT user_id, webhook_url FROM bots');
+}
+
+// Бот — пользователь без пароля с записью в bots
+async function insertBot(bot, ownerId, tokenHash) {
+    await dbRun('INSERT INTO users (id, username, fullname, email, is_bot, created_at) VALUES (?, ?, ?, ?, 1, ?)',
+        [bot.id, bot.username, bot.fullname, '', bot.createdAt]);
+    await dbRun('INSERT INTO bots (user_id, owner_id, token_hash, created_at) VALUES (?, ?, ?, ?)',
+        [bot.id, ownerId, tokenHash, bot.createdAt]);
+}
+
+function findOwnedBot(botId, ownerId) {
+    return dbGet(`${OWNED_BOT_QUERY} WHERE b.user_id = ? AND b.owner_id = ?`, [botId, ownerId]);
+}
+
+function selectOwnedBots(ownerId) {
+    return dbAll(`${OWNED_BOT_QUERY} WHERE b.owner_id = ? ORDER BY b.created_at`, [ownerId]);
+}
+
+function findBotByTokenHash(tokenHash) {
+    return dbGet(`SELECT u.id, u.username, u.fullname, u.avatar, b.webhook_url
+            FROM bots b
+            JOIN users u ON u.id = b.user_id
+            WHERE b.token_hash = ?`, [tokenHash]);
+}
+
+function findBotWebhook(botId) {
+    return dbGet(`SELECT u.username, b.webhook_url, b.webhook_secret
+            FROM bots b JOIN users u ON u.id = b.user_id WHERE b.user_id = ?`, [botId]);
+}
+
+function setBotToken(botId, tokenHash) {
+    return dbRun('UPDATE bots SET token_hash = ? WHERE user_id = ?', [tokenHash, botId]);
+}
+
+// На новый адрес очередь уходит заново, с полным числом попыток; url = null снимает вебхук
+async function setBotWebhook(botId, url, secret) {
+    await dbRun('UPDATE bots SET webhook_url = ?, webhook_secret = ? WHERE user_id = ?', [url, secret, botId]);
+    if (url) {
+        await dbRun('UPDATE bot_updates SET attempts = 0, next_attempt_at = NULL WHERE bot_id = ?', [botId]);
+    }
+}
+
+// Очередь обновлений
+function insertBotUpdate(botId, type, payload) {
+    return dbRun('INSERT INTO bot_updates (bot_id, type, payload, created_at) VALUES (?, ?, ?, ?)',
+        [botId, type, JSON.stringify(payload), new Date().toISOString()]);
+}
+
+// Первое по порядку обновление, время попытки которого уже пришло
+function findDueBotUpdate(botId) {
+    return dbGet(`SELECT id, payload, attempts FROM bot_updates
+            WHERE bot_id = ? AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+            ORDER BY id LIMIT 1`, [botId, new Date().toISOString()]);
+}
+
+async function findNextBotRetry(botId) {
+    const row = await dbGet('SELECT MIN(next_attempt_at) AS next_attempt_at FROM bot_updates WHERE bot_id = ?', [botId]);
+    return row ? row.next_attempt_at : null;
+}
+
+function postponeBotUpdate(updateId, nextAttemptAt) {
+    return dbRun('UPDATE bot_updates SET attempts = attempts + 1, next_attempt_at = ? WHERE id = ?', [nextAttemptAt, updateId]);
+}
+
+function deleteBotUpdate(updateId) {
+    return dbRun('DELETE FROM bot_updates WHERE id = ?', [updateId]);
+}
+
+function selectBotUpdates(botId, offset, limit) {
+    return dbAll('SELECT id, payload FROM bot_updates WHERE bot_id = ? AND id >= ? ORDER BY id LIMIT ?', [botId, offset, limit]);
+}
+
+// Все до offset бот уже получил
+function acknowledgeBotUpdates(botId, offset) {
+    return dbRun('DELETE FROM bot_updates WHERE bot_id = ? AND id < ?', [botId, offset]);
+}
+
+function purgeBotUpdatesBefore(cutoff) {
+    return dbRun('DELETE FROM bot_updates WHERE created_at < ?', [cutoff]);
+}
+
+// Входящие вебхуки
+async function insertIncomingWebhook(webhook) {
+    await dbRun(`INSERT INTO incoming_webhooks (id, chat_id, name, token_hash, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+        [webhook.id, webhook.chatId, webhook.name, webhook.tokenHash, webhook.createdBy, new Date().toISOString()]);
+    return dbGet('SELECT * FROM incoming_webhooks WHERE id = ?', [webhook.id]);
+}
+
+function findChatWebhook(chatId, webhookId) {
+    return dbGet('SELECT * FROM incoming_webhooks WHERE id = ? AND chat_id = ? AND revoked_at IS NULL', [webhookId, chatId]);
+}
+
+function findWebhookByToken(webhookId, tokenHash) {
+    return dbGet('SELECT * FROM incoming_webhooks WHERE id = ? AND token_hash = ? AND revoked_at IS NULL',
+        [webhookId, tokenHash]);
+}
+
+function selectChatWebhooks(chatId) {
+    return dbAll('SELECT * FROM incoming_webhooks WHERE chat_id = ? AND revoked_at IS NULL ORDER BY created_at', [chatId]);
+}
+
+function touchIncomingWebhook(webhookId, usedAt) {
+    return dbRun('UPDATE incoming_webhooks SET last_used_at = ? WHERE id = ?', [usedAt, webhookId]);
+}
+
+function rotateIncomingWebhook(webhookId, tokenHash) {
+    return dbRun('UPDATE incoming_webhooks SET token_hash = ?, rotated_at = ? WHERE id = ?',
+        [tokenHash, new Date().toISOString(), webhookId]);
+}
+
+function revokeIncomingWebhook(webhookId) {
+    return dbRun('UPDATE incoming_webhooks SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), webhookId]);
+}
+
+module.exports = {
+    selectBots,
+    insertBot,
+    findOwnedBot,
+    selectOwnedBots,
+    findBotByTokenHash,
+    findBotWebhook,
+    setBotToken,
+    setBotWebhook,
+    insertBotUpdate,
+    findDueBotUpdate,
+    findNextBotRetry,
+    postponeBotUpdate,
+    deleteBotUpdate,
+    selectBotUpdates,
+    acknowledgeBotUpdates,
+    purgeBotUpdatesBefore,
+    insertIncomingWebhook,
+    findChatWebhook,
+    findWebhookByToken,
+    selectChatWebhooks,
+    touchIncomingWebhook,
+    rotateIncomingWebhook,
+    revokeIncomingWebhook
+};
@@ -0,0 +1,81 @@
+const { dbGet, dbAll, dbRun } = require('..');
+const { placeholders } = require('./fragments');
+
+// Журнал звонков. У группового звонка нет собеседника: receiver_id пустой, chat_id — группа
+
+// Параметры: id пользователя трижды — для собеседника и для фильтра по участию
+const CALLS_QUERY = `SELECT c.*, u.id AS peer_id, u.username, u.fullname, u.avatar
+    FROM calls c
+    JOIN users u ON u.id = CASE WHEN c.caller_id = ? THEN c.receiver_id ELSE c.caller_id END
+    WHERE (c.caller_id = ? OR c.receiver_id = ?)`;
+
+function insertCall({ id, callerId, receiverId = null, chatId = null, type, status, startTime, answerTime = null }) {
+    return dbRun(`INSERT INTO calls (id, caller_id, receiver_id, chat_id, type, status, start_time, answer_time)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, callerId, receiverId, chatId, type, status, startTime, answerTime]);
+}
+
+function markCallAnswered(callId, answerTime) {
+    return dbRun('UPDATE calls SET status = ?, answer_time = ? WHERE id = ?', ['accepted', answerTime, callId]);
+}
+
+function finishCallRecord(callId, status, endTime, duration) {
+    return dbRun('UPDATE calls SET status = ?, end_time = ?, duration = ? WHERE id = ?', [status, endTime, duration, callId]);
+}
+
+function setCallChat(callId, chatId) {
+    return dbRun('UPDATE calls SET chat_id = ? WHERE id = ?', [chatId, callId]);
+}
+
+// Состояние звонков живет в памяти: после перезапуска незавершенные считаем прерванными
+function closeInterruptedCalls() {
+    return dbRun(`UPDATE calls SET status = CASE status WHEN 'accepted' THEN 'ended' ELSE 'missed' END,
+            end_time = COALESCE(end_time, start_time)
+            WHERE status IN ('started', 'ringing', 'accepted')`);
+}
+
+// Звонок глазами участника userId, с собеседником
+function findUserCall(userId, callId) {
+    return dbGet(`${CALLS_QUERY} AND c.id = ?`, [userId, userId, userId, callId]);
+}
+
+// Звонки userId со статусами statuses, которые он еще не видел, новые сверху
+function selectUnseenCalls(userId, statuses) {
+    return dbAll(`${CALLS_QUERY} AND c.receiver_id = ? AND c.seen = 0
+            AND c.status IN (${placeholders(statuses)})
+            ORDER BY c.start_time DESC`,
+        [userId, userId, userId, userId, ...statuses]);
+}
+
+function findCallCursor(userId, callId) {
+    return dbGet('SELECT id, start_time FROM calls WHERE id = ? AND (caller_id = ? OR receiver_id = ?)',
+        [callId, userId, userId]);
+}
+
+// Страница журнала, новые сверху, до курсора; строк на одну больше limit
+function selectCallPage(userId, cursor, limit) {
+    let query = CALLS_QUERY;
+    const params = [userId, userId, userId];
+    if (cursor) {
+        query += ' AND (c.start_time, c.id) < (?, ?)';
+        params.push(cursor.start_time, cursor.id);
+    }
+    return dbAll(`${query} ORDER BY c.start_time DESC, c.id DESC LIMIT ?`, [...params, limit + 1]);
+}
+
+function markCallsSeen(userId) {
+    return dbRun('UPDATE calls SET seen = 1 WHERE receiver_id = ? AND seen = 0', [userId]);
+}
+
+module.exports = {
+    insertCall,
+    markCallAnswered,
+    finishCallRecord,
+    setCallChat,
+    closeInterruptedCalls,
+    findUserCall,
+    selectUnseenCalls,
+    findCallCursor,
+    selectCallPage,
+    markCallsSeen
+};
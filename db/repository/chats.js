@@ -0,0 +1,261 @@
+const { v4: uuidv4 } = require('uuid');
+const { dbGet, dbAll, dbRun, dbTransaction } = require('..');
+const { placeholders, PRESENCE_COLUMNS, UNREAD_CONDITION } = require('./fragments');
+
+// Чаты, участники, приглашения и курсоры прочтения
+
+function getChatSummary(chatId) {
+    return dbGet('SELECT id, name, type, avatar, handle, description, allowed_reactions, created_at FROM chats WHERE id = ?', [chatId]);
+}
+
+// Группа или канал: создатель — владелец, остальные — участники. Чат и состав пишутся
+// одной транзакцией; занятый handle канала отклоняется ошибкой SQLITE_CONSTRAINT
+function createChat(chat, ownerId, memberIds) {
+    return dbTransaction(async ({ dbRun }) => {
+        await dbRun('INSERT INTO chats (id, name, type, handle, description, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [chat.id, chat.name, chat.type, chat.handle, chat.description, chat.createdAt]);
+        for (const [userId, role] of [[ownerId, 'owner'], ...memberIds.map(id => [id, 'member'])]) {
+            await dbRun('INSERT INTO chat_members (chat_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)',
+                [chat.id, userId, role, chat.createdAt]);
+        }
+    });
+}
+
+// Личный чат у пары пользователей один: direct_key — id обоих по возрастанию через «:»,
+// уникальный индекс по нему не дает создать второй даже при одновременных запросах
+function directChatKey(userId, peerId) {
+    return [userId, peerId].sort().join(':');
+}
+
+// Личный чат двух пользователей; если его еще нет — создаем
+async function getOrCreatePrivateChat(userId, peerId) {
+    const key = directChatKey(userId, peerId);
+    const now = new Date().toISOString();
+    await dbRun("INSERT OR IGNORE INTO chats (id, name, type, direct_key, created_at) VALUES (?, NULL, 'private', ?, ?)",
+        [uuidv4(), key, now]);
+    const chat = await dbGet('SELECT id FROM chats WHERE direct_key = ?', [key]);
+    for (const memberId of [userId, peerId]) {
+        await dbRun("INSERT OR IGNORE INTO chat_members (chat_id, user_id, role, joined_at) VALUES (?, ?, 'member', ?)",
+            [chat.id, memberId, now]);
+    }
+    return chat.id;
+}
+
+// Общий чат создается при первом запуске; true — его только что создали
+async function createGeneralChat() {
+    const result = await dbRun("INSERT OR IGNORE INTO chats (id, name, type) VALUES ('general', '🔥 Общий чат', 'group')");
+    return result.changes > 0;
+}
+
+// Все пользователи — участники общего чата; боты попадают только в те чаты, куда их добавили
+function addUsersToGeneralChat() {
+    return dbRun("INSERT OR IGNORE INTO chat_members (chat_id, user_id) SELECT 'general', id FROM users WHERE is_bot = 0");
+}
+
+function setChatName(chatId, name) {
+    return dbRun('UPDATE chats SET name = ? WHERE id = ?', [name, chatId]);
+}
+
+function setChatAvatar(chatId, avatar) {
+    return dbRun('UPDATE chats SET avatar = ? WHERE id = ?', [avatar, chatId]);
+}
+
+// allowed — JSON-массив эмодзи или null, если разрешены любые
+function setAllowedReactions(chatId, allowed) {
+    return dbRun('UPDATE chats SET allowed_reactions = ? WHERE id = ?', [allowed, chatId]);
+}
+
+// Последнее сообщение в списке чатов — из тех, что участник видит в истории (m и cm — алиасы запроса)
+const LAST_VISIBLE_CONDITION = `m.chat_id = c.id AND m.deleted = 0
+    AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.user_id = cm.user_id AND h.message_id = m.id)`;
+
+// Чаты пользователя с последним сообщением и счетчиком непрочитанных, свежие сверху;
+// chatId — только этот чат
+function selectUserChats(userId, chatId = null) {
+    return dbAll(`SELECT c.*, cm.role, cm.last_read_message_id,
+            (SELECT m.text FROM messages m WHERE ${LAST_VISIBLE_CONDITION} ORDER BY m.time DESC LIMIT 1) as last_message,
+            (SELECT m.time FROM messages m WHERE ${LAST_VISIBLE_CONDITION} ORDER BY m.time DESC LIMIT 1) as last_message_time,
+            (SELECT COUNT(*) FROM messages m WHERE ${UNREAD_CONDITION}) as unread_count
+            FROM chats c
+            JOIN chat_members cm ON c.id = cm.chat_id AND cm.user_id = ?
+            WHERE ${chatId ? 'c.id = ?' : '1 = 1'}
+            ORDER BY last_message_time DESC`, chatId ? [userId, chatId] : [userId]);
+}
+
+// Собеседники viewerId в личных чатах chatIds, с колонками для describePresence
+function selectDirectPeers(viewerId, chatIds) {
+    if (chatIds.length === 0) return Promise.resolve([]);
+    return dbAll(`SELECT cm.chat_id, u.id, u.username, u.fullname, u.avatar, ${PRESENCE_COLUMNS}
+            FROM chat_members cm
+            JOIN users u ON u.id = cm.user_id
+            WHERE cm.chat_id IN (${placeholders(chatIds)}) AND cm.user_id != ?`,
+        [viewerId, viewerId, ...chatIds, viewerId]);
+}
+
+// Участники
+function getMembership(chatId, userId) {
+    return dbGet(`SELECT chat_id, user_id, role, joined_at, last_read_message_id, last_read_time
+            FROM chat_members WHERE chat_id = ? AND user_id = ?`,
+        [chatId, userId]);
+}
+
+async function getChatMemberIds(chatId) {
+    const members = await dbAll('SELECT user_id FROM chat_members WHERE chat_id = ?', [chatId]);
+    return members.map(m => m.user_id);
+}
+
+async function selectOtherMemberIds(chatId, userId) {
+    const members = await dbAll('SELECT user_id FROM chat_members WHERE chat_id = ? AND user_id != ?', [chatId, userId]);
+    return members.map(m => m.user_id);
+}
+
+async function selectMemberIdsWithRoles(chatId, roles) {
+    const members = await dbAll(`SELECT user_id FROM chat_members
+            WHERE chat_id = ? AND role IN (${placeholders(roles)})`, [chatId, ...roles]);
+    return members.map(m => m.user_id);
+}
+
+// Те из chatIds, где userId участник
+async function selectMemberChatIds(userId, chatIds) {
+    if (chatIds.length === 0) return [];
+    const rows = await dbAll(`SELECT chat_id FROM chat_members
+            WHERE user_id = ? AND chat_id IN (${placeholders(chatIds)})`, [userId, ...chatIds]);
+    return rows.map(row => row.chat_id);
+}
+
+// Те из userIds, кто есть в базе и еще не состоит в чате
+async function selectNonMemberIds(chatId, userIds) {
+    if (userIds.length === 0) return [];
+    const rows = await dbAll(`SELECT u.id FROM users u
+            WHERE u.id IN (${placeholders(userIds)})
+            AND NOT EXISTS (SELECT 1 FROM chat_members cm WHERE cm.chat_id = ? AND cm.user_id = u.id)`,
+        [...userIds, chatId]);
+    return rows.map(row => row.id);
+}
+
+// Участники с колонками для describePresence: владелец, администраторы, затем по времени вступления
+function selectChatMembers(chatId, viewerId) {
+    return dbAll(`SELECT u.id, u.username, u.fullname, u.avatar, ${PRESENCE_COLUMNS},
+                cm.role, cm.joined_at
+            FROM chat_members cm
+            JOIN users u ON u.id = cm.user_id
+            WHERE cm.chat_id = ?
+            ORDER BY CASE cm.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, cm.joined_at`,
+        [viewerId, viewerId, chatId]);
+}
+
+async function countChatMembers(chatId) {
+    const row = await dbGet('SELECT COUNT(*) AS count FROM chat_members WHERE chat_id = ?', [chatId]);
+    return row.count;
+}
+
+// Уже состоящий в чате не добавляется повторно: changes = 0
+function addChatMember(chatId, userId, role = 'member') {
+    return dbRun('INSERT OR IGNORE INTO chat_members (chat_id, user_id, role, joined_at) VALUES (?, ?, ?, ?)',
+        [chatId, userId, role, new Date().toISOString()]);
+}
+
+function removeChatMember(chatId, userId) {
+    return dbRun('DELETE FROM chat_members WHERE chat_id = ? AND user_id = ?', [chatId, userId]);
+}
+
+function setMemberRole(chatId, userId, role) {
+    return dbRun('UPDATE chat_members SET role = ? WHERE chat_id = ? AND user_id = ?', [role, chatId, userId]);
+}
+
+// Наследник ушедшего владельца: самый старый администратор, а если их нет — участник
+async function findChatHeir(chatId) {
+    const row = await dbGet(`SELECT user_id FROM chat_members WHERE chat_id = ?
+            ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, joined_at LIMIT 1`, [chatId]);
+    return row ? row.user_id : null;
+}
+
+function setReadCursor(chatId, userId, message) {
+    return dbRun('UPDATE chat_members SET last_read_message_id = ?, last_read_time = ? WHERE chat_id = ? AND user_id = ?',
+        [message.id, message.time, chatId, userId]);
+}
+
+// Публичные каналы: число подписчиков и подписан ли зритель (c — алиас chats, параметр — id зрителя)
+const PUBLIC_CHANNEL_FIELDS = `c.id, c.name, c.type, c.avatar, c.handle, c.description, c.created_at,
+    (SELECT COUNT(*) FROM chat_members s WHERE s.chat_id = c.id) AS subscribers,
+    EXISTS (SELECT 1 FROM chat_members s WHERE s.chat_id = c.id AND s.user_id = ?) AS subscribed`;
+
+// По началу handle или слову в названии, популярные выше
+function searchPublicChannels(viewerId, prefix, limit) {
+    const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    return dbAll(`SELECT ${PUBLIC_CHANNEL_FIELDS}
+            FROM chats c
+            WHERE c.type = 'channel' AND c.handle IS NOT NULL
+            AND (c.handle LIKE ? ESCAPE '\\' OR c.name LIKE ? ESCAPE '\\')
+            ORDER BY subscribers DESC
+            LIMIT ?`, [viewerId, pattern, `%${pattern}`, limit]);
+}
+
+function findPublicChannel(viewerId, handle) {
+    return dbGet(`SELECT ${PUBLIC_CHANNEL_FIELDS}
+            FROM chats c WHERE c.type = 'channel' AND c.handle = ? COLLATE NOCASE`, [viewerId, handle]);
+}
+
+// Приглашения
+async function insertInvite(invite) {
+    await dbRun(`INSERT INTO chat_invites (code, chat_id, created_by, expires_at, max_uses, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+        [invite.code, invite.chatId, invite.createdBy, invite.expiresAt, invite.maxUses, invite.createdAt]);
+    return dbGet('SELECT * FROM chat_invites WHERE code = ?', [invite.code]);
+}
+
+function selectChatInvites(chatId) {
+    return dbAll('SELECT * FROM chat_invites WHERE chat_id = ? AND revoked = 0 ORDER BY created_at DESC', [chatId]);
+}
+
+function revokeInvite(chatId, code) {
+    return dbRun('UPDATE chat_invites SET revoked = 1 WHERE code = ? AND chat_id = ?', [code, chatId]);
+}
+
+// Приглашение, по которому еще можно вступить: не отозвано, не истекло и не исчерпано
+function findUsableInvite(code) {
+    return dbGet(`SELECT * FROM chat_invites WHERE code = ? AND revoked = 0
+            AND (expires_at IS NULL OR expires_at > ?) AND (max_uses IS NULL OR uses < max_uses)`,
+        [code, new Date().toISOString()]);
+}
+
+// Использование списывается одним UPDATE с проверкой лимита, чтобы не пустить лишних;
+// false — лимит уже исчерпан или приглашение отозвано
+async function useInvite(code) {
+    const result = await dbRun(`UPDATE chat_invites SET uses = uses + 1
+            WHERE code = ? AND revoked = 0 AND (max_uses IS NULL OR uses < max_uses)`, [code]);
+    return result.changes > 0;
+}
+
+module.exports = {
+    getChatSummary,
+    createChat,
+    getOrCreatePrivateChat,
+    createGeneralChat,
+    addUsersToGeneralChat,
+    setChatName,
+    setChatAvatar,
+    setAllowedReactions,
+    selectUserChats,
+    selectDirectPeers,
+    getMembership,
+    getChatMemberIds,
+    selectOtherMemberIds,
+    selectMemberIdsWithRoles,
+    selectMemberChatIds,
+    selectNonMemberIds,
+    selectChatMembers,
+    countChatMembers,
+    addChatMember,
+    removeChatMember,
+    setMemberRole,
+    findChatHeir,
+    setReadCursor,
+    searchPublicChannels,
+    findPublicChannel,
+    insertInvite,
+    selectChatInvites,
+    revokeInvite,
+    findUsableInvite,
+    useInvite
+};
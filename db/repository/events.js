@@ -0,0 +1,40 @@
+const { dbGet, dbAll, dbRun } = require('..');
+
+// Журнал событий. Номер берется из RETURNING самого счетчика, поэтому два события
+// одного пользователя, записанные одновременно, не получат одинаковый seq
+async function getEventSeq(userId) {
+    const row = await dbGet('SELECT event_seq FROM users WHERE id = ?', [userId]);
+    return row ? row.event_seq : 0;
+}
+
+async function appendUserEvent(userId, data) {
+    const row = await dbGet('UPDATE users SET event_seq = event_seq + 1 WHERE id = ? RETURNING event_seq', [userId]);
+    if (!row) return null;
+
+    await dbRun('INSERT INTO user_events (user_id, seq, type, payload, created_at) VALUES (?, ?, ?, ?, ?)',
+        [userId, row.event_seq, data.type, JSON.stringify(data), new Date().toISOString()]);
+    return row.event_seq;
+}
+
+// Самое старое событие, которое еще хранится; null — журнал пуст
+async function getOldestEventSeq(userId) {
+    const row = await dbGet('SELECT MIN(seq) AS seq FROM user_events WHERE user_id = ?', [userId]);
+    return row.seq;
+}
+
+function selectEventsAfter(userId, seq, limit) {
+    return dbAll('SELECT seq, payload FROM user_events WHERE user_id = ? AND seq > ? ORDER BY seq LIMIT ?',
+        [userId, seq, limit]);
+}
+
+function purgeEventsBefore(cutoff) {
+    return dbRun('DELETE FROM user_events WHERE created_at < ?', [cutoff]);
+}
+
+module.exports = {
+    getEventSeq,
+    appendUserEvent,
+    getOldestEventSeq,
+    selectEventsAfter,
+    purgeEventsBefore
+};
@@ -0,0 +1,29 @@
+// Общие куски запросов для модулей репозитория; наружу из db/repository не экспортируются
+
+// «?, ?, ?» для списка значений в IN (...)
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+// Колонки для describePresence (u — алиас users); параметры — дважды id зрителя
+const PRESENCE_COLUMNS = `u.online, u.last_seen, u.last_seen_privacy,
+    EXISTS (SELECT 1 FROM blocked_users pb WHERE pb.user_id = u.id AND pb.blocked_id = ?) AS presence_blocked,
+    EXISTS (SELECT 1 FROM contacts pc WHERE pc.user_id = u.id AND pc.contact_id = ?) AS presence_contact`;
+
+// Сообщение, скрытое через «удалить у меня» (m — алиас messages в запросе)
+const NOT_HIDDEN_CONDITION = 'NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.user_id = ? AND h.message_id = m.id)';
+
+// Непрочитанными считаются чужие сообщения после курсора прочтения участника,
+// а пока он ничего не читал — после его вступления в чат (m и cm — алиасы запроса)
+const UNREAD_CONDITION = `m.chat_id = cm.chat_id AND m.deleted = 0 AND m.sender_id != cm.user_id
+    AND NOT EXISTS (SELECT 1 FROM message_hidden h WHERE h.user_id = cm.user_id AND h.message_id = m.id)
+    AND (CASE WHEN cm.last_read_time IS NULL
+        THEN m.time > strftime('%Y-%m-%dT%H:%M:%fZ', cm.joined_at)
+        ELSE (m.time, m.id) > (cm.last_read_time, cm.last_read_message_id) END)`;
+
+module.exports = {
+    placeholders,
+    PRESENCE_COLUMNS,
+    NOT_HIDDEN_CONDITION,
+    UNREAD_CONDITION
+};
@@ -0,0 +1,13 @@
+// Все запросы сервера к базе, по одному модулю на сущность. Обработчики в server.js
+// работают только с этими функциями, SQL в них не пишется.
+// Все функции возвращают промисы и отклоняют их ошибкой sqlite3
+module.exports = {
+    ...require('./users'),
+    ...require('./events'),
+    ...require('./chats'),
+    ...require('./messages'),
+    ...require('./attachments'),
+    ...require('./stories'),
+    ...require('./calls'),
+    ...require('./bots')
+};
@@ -0,0 +1,295 @@
+const { dbGet, dbAll, dbRun, dbSerialize } = require('..');
+const { placeholders, NOT_HIDDEN_CONDITION, UNREAD_CONDITION } = require('./fragments');
+
+// Сообщения и все, что к ним привязано: поисковый индекс, история правок, скрытие «у меня»,
+// квитанции, просмотры постов и реакции
+
+function findMessage(messageId) {
+    return dbGet('SELECT id, chat_id, sender_id, text, time, kind, attachment_id, deleted FROM messages WHERE id = ?', [messageId]);
+}
+
+// Поля, которых нет в message, остаются пустыми; meta — уже строка JSON
+function insertMessage({ id, chatId, senderId, text = null, image = null, file = null, fileName = null, fileSize = null,
+    time, attachmentId = null, kind = 'text', meta = null, replyTo = null,
+    forwardSenderId = null, forwardSenderName = null, forwardChatId = null }) {
+    return dbRun(`INSERT INTO messages (id, chat_id, sender_id, text, image, file, file_name, file_size, time,
+                attachment_id, kind, meta, reply_to, forward_sender_id, forward_sender_name, forward_chat_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, chatId, senderId, text, image, file, fileName, fileSize, time,
+            attachmentId, kind, meta, replyTo, forwardSenderId, forwardSenderName, forwardChatId]);
+}
+
+// Сообщения с именем автора, в любом состоянии: цитаты показывают и удаленные
+function selectMessagesWithAuthors(messageIds) {
+    if (messageIds.length === 0) return Promise.resolve([]);
+    return dbAll(`SELECT m.*, u.username, u.fullname FROM messages m
+            LEFT JOIN users u ON u.id = m.sender_id
+            WHERE m.id IN (${placeholders(messageIds)})`, messageIds);
+}
+
+// Сообщение чата, на которое можно ответить: не удаленное и не служебное
+function findRepliableMessage(chatId, messageId) {
+    return dbGet(`SELECT m.*, u.username, u.fullname FROM messages m
+            LEFT JOIN users u ON u.id = m.sender_id
+            WHERE m.id = ? AND m.chat_id = ? AND m.deleted = 0 AND m.kind != 'system'`, [messageId, chatId]);
+}
+
+// Исходники пересылки по порядку отправки, с автором и чатом; удаленные и служебные не попадают
+function selectForwardSources(messageIds) {
+    return dbAll(`SELECT m.*, u.username, u.fullname, c.type AS chat_type, c.name AS chat_name
+            FROM messages m
+            JOIN chats c ON c.id = m.chat_id
+            LEFT JOIN users u ON u.id = m.sender_id
+            WHERE m.id IN (${placeholders(messageIds)}) AND m.deleted = 0 AND m.kind != 'system'
+            ORDER BY m.time, m.id`, messageIds);
+}
+
+// Курсоры страниц истории и ветки обсуждения
+function findMessageCursor(chatId, messageId) {
+    return dbGet('SELECT id, time FROM messages WHERE id = ? AND chat_id = ?', [messageId, chatId]);
+}
+
+function findReplyCursor(rootId, messageId) {
+    return dbGet('SELECT id, time FROM messages WHERE id = ? AND reply_to = ?', [messageId, rootId]);
+}
+
+const CURSOR_COMPARISON = { before: '<', after: '>', from: '>=' };
+
+// Страница истории, которую видит userId, от курсора в направлении direction (before, after
+// или from — включая сам курсор). Строк на одну больше limit — так видно, есть ли что-то дальше.
+// replyTo ограничивает страницу ответами на одно сообщение — так строится ветка обсуждения.
+// Счетчики квитанций нужны только автору сообщения
+function selectMessagePage(chatId, userId, { cursor = null, direction, limit, replyTo = null }) {
+    const order = direction === 'before' ? 'DESC' : 'ASC';
+    const conditions = ['m.chat_id = ?', 'm.deleted = 0', NOT_HIDDEN_CONDITION];
+    const params = [userId, userId, chatId, userId];
+
+    if (replyTo) {
+        conditions.push('m.reply_to = ?');
+        params.push(replyTo);
+    }
+
+    if (cursor) {
+        conditions.push(`(m.time, m.id) ${CURSOR_COMPARISON[direction]} (?, ?)`);
+        params.push(cursor.time, cursor.id);
+    }
+
+    return dbAll(`SELECT m.*, u.username, u.fullname,
+                a.mime, a.width, a.height, a.has_thumbnail,
+                CASE WHEN m.sender_id = ? THEN (SELECT COUNT(*) FROM message_receipts r
+                    WHERE r.message_id = m.id) END AS delivered_count,
+                CASE WHEN m.sender_id = ? THEN (SELECT COUNT(*) FROM message_receipts r
+                    WHERE r.message_id = m.id AND r.read_at IS NOT NULL) END AS read_count,
+                (SELECT COUNT(*) FROM messages rm WHERE rm.reply_to = m.id AND rm.deleted = 0) AS reply_count
+            FROM messages m
+            LEFT JOIN users u ON m.sender_id = u.id
+            LEFT JOIN attachments a ON m.attachment_id = a.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.time ${order}, m.id ${order}
+            LIMIT ?`, [...params, limit + 1]);
+}
+
+// Поиск по сообщениям чатов, в которых состоит userId. Фильтры: chatId, senderId, from/to (ISO),
+// hasAttachment — true, false или null (неважно). Строк на одну больше limit.
+// Совпадения в snippet обрамлены \u0001...\u0002
+function searchMessages(userId, matchQuery, { chatId, senderId, from, to, hasAttachment = null }, limit, offset) {
+    const conditions = ['messages_fts MATCH ?', 'm.deleted = 0', NOT_HIDDEN_CONDITION];
+    const params = [userId, matchQuery, userId];
+
+    if (chatId) {
+        conditions.push('m.chat_id = ?');
+        params.push(chatId);
+    }
+    if (senderId) {
+        conditions.push('m.sender_id = ?');
+        params.push(senderId);
+    }
+    if (from) {
+        conditions.push('m.time >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('m.time <= ?');
+        params.push(to);
+    }
+    if (hasAttachment === true) {
+        conditions.push('(m.file IS NOT NULL OR m.image IS NOT NULL)');
+    } else if (hasAttachment === false) {
+        conditions.push('m.file IS NULL AND m.image IS NULL');
+    }
+
+    return dbAll(`SELECT m.id, m.chat_id, m.sender_id, m.text, m.time,
+                m.file, m.file_name, u.username, u.fullname, c.name AS chat_name, c.type AS chat_type,
+                snippet(messages_fts, 0, char(1), char(2), '…', 12) AS snippet
+            FROM messages_fts
+            JOIN messages m ON m.rowid = messages_fts.rowid
+            JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = ?
+            LEFT JOIN users u ON m.sender_id = u.id
+            LEFT JOIN chats c ON m.chat_id = c.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY m.time DESC
+            LIMIT ? OFFSET ?`, [...params, limit + 1, offset]);
+}
+
+// Прежний текст берется из самой строки в одной очереди с обновлением,
+// чтобы две правки подряд не записали в историю одну и ту же версию
+async function updateMessageText(messageId, text, editorId, editedAt) {
+    await dbSerialize([
+        [`INSERT INTO message_revisions (message_id, text, editor_id, edited_at)
+                SELECT id, text, ?, ? FROM messages WHERE id = ?`, [editorId, editedAt, messageId]],
+        ['UPDATE messages SET text = ?, edited = 1, edited_at = ? WHERE id = ?', [text, editedAt, messageId]]
+    ]);
+    await indexMessageText(messageId, text);
+}
+
+// Текущий текст и прежние версии от новых к старым
+async function selectMessageRevisions(messageId) {
+    const [current, revisions] = await Promise.all([
+        dbGet('SELECT text, edited_at FROM messages WHERE id = ?', [messageId]),
+        dbAll(`SELECT r.text, r.edited_at, r.editor_id, u.username, u.fullname
+                FROM message_revisions r
+                LEFT JOIN users u ON u.id = r.editor_id
+                WHERE r.message_id = ?
+                ORDER BY r.id DESC`, [messageId])
+    ]);
+    return { current, revisions };
+}
+
+// Поисковый индекс обновляется вместе с сообщением: при отправке, правке и удалении
+function indexMessageText(messageId, text) {
+    const statements = [['DELETE FROM messages_fts WHERE rowid = (SELECT rowid FROM messages WHERE id = ?)', [messageId]]];
+    if (text) {
+        statements.push(['INSERT INTO messages_fts (rowid, text) SELECT rowid, ? FROM messages WHERE id = ?', [text, messageId]]);
+    }
+    return dbSerialize(statements);
+}
+
+function unindexMessage(messageId) {
+    return dbRun('DELETE FROM messages_fts WHERE rowid = (SELECT rowid FROM messages WHERE id = ?)', [messageId]);
+}
+
+// «Удалить у меня»
+function hideMessage(messageId, userId) {
+    return dbRun('INSERT OR IGNORE INTO message_hidden (message_id, user_id, hidden_at) VALUES (?, ?, ?)',
+        [messageId, userId, new Date().toISOString()]);
+}
+
+// Удаленное у всех не должно оставаться в базе: стираются текст, вложение и meta (волна голосового,
+// поля интеграции), прежние версии и индекс. Запись о вложении и файл удаляет вызывающий
+async function deleteMessageForEveryone(messageId) {
+    await dbRun(`UPDATE messages SET deleted = 1, text = NULL, image = NULL, file = NULL, file_name = NULL,
+            file_size = NULL, attachment_id = NULL, meta = NULL
+            WHERE id = ?`, [messageId]);
+    await dbRun('DELETE FROM message_revisions WHERE message_id = ?', [messageId]);
+    await unindexMessage(messageId);
+}
+
+// Квитанции о доставке и прочтении
+const RECEIPTS_BATCH_SIZE = 500;
+
+// Отметки, которые уже стоят, не перезаписываются
+async function saveReceipts(receipts) {
+    for (let i = 0; i < receipts.length; i += RECEIPTS_BATCH_SIZE) {
+        const batch = receipts.slice(i, i + RECEIPTS_BATCH_SIZE);
+        await dbRun(`INSERT INTO message_receipts (message_id, user_id, delivered_at, read_at)
+                VALUES ${batch.map(() => '(?, ?, ?, ?)').join(', ')}
+                ON CONFLICT (message_id, user_id) DO UPDATE SET
+                    delivered_at = COALESCE(message_receipts.delivered_at, excluded.delivered_at),
+                    read_at = COALESCE(message_receipts.read_at, excluded.read_at)`,
+            batch.flatMap(r => [r.messageId, r.userId, r.deliveredAt, r.readAt || null]));
+    }
+}
+
+// Те из messageIds, о которых у userId уже есть квитанция
+async function selectReceiptMessageIds(userId, messageIds) {
+    if (messageIds.length === 0) return [];
+    const rows = await dbAll(`SELECT message_id FROM message_receipts
+            WHERE user_id = ? AND message_id IN (${placeholders(messageIds)})`, [userId, ...messageIds]);
+    return rows.map(row => row.message_id);
+}
+
+// Непрочитанные участником сообщения чата до target включительно
+function selectUnreadUpTo(membership, target) {
+    return dbAll(`SELECT m.id, m.sender_id FROM messages m
+            JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = ?
+            WHERE m.chat_id = ? AND ${UNREAD_CONDITION} AND (m.time, m.id) <= (?, ?)`,
+        [membership.user_id, membership.chat_id, target.time, target.id]);
+}
+
+// Кто получил и прочитал: сначала прочитавшие, свежие сверху
+function selectMessageReceipts(messageId) {
+    return dbAll(`SELECT u.id, u.username, u.fullname, u.avatar, r.delivered_at, r.read_at
+            FROM message_receipts r
+            JOIN users u ON u.id = r.user_id
+            WHERE r.message_id = ?
+            ORDER BY r.read_at IS NULL, r.read_at DESC, r.delivered_at DESC`, [messageId]);
+}
+
+// Просмотры постов канала: каждый пользователь засчитывается один раз
+async function recordMessageView(chatId, messageId, userId) {
+    const result = await dbRun(`INSERT OR IGNORE INTO message_views (message_id, user_id, viewed_at)
+            SELECT id, ?, ? FROM messages WHERE id = ? AND chat_id = ? AND deleted = 0`,
+        [userId, new Date().toISOString(), messageId, chatId]);
+    if (result.changes) {
+        await dbRun('UPDATE messages SET views = views + 1 WHERE id = ?', [messageId]);
+    }
+}
+
+function selectMessageViews(chatId, messageIds) {
+    if (messageIds.length === 0) return Promise.resolve([]);
+    return dbAll(`SELECT id, views FROM messages
+            WHERE chat_id = ? AND id IN (${placeholders(messageIds)})`, [chatId, ...messageIds]);
+}
+
+// Реакции в порядке появления, с именами поставивших
+function selectReactions(messageIds) {
+    if (messageIds.length === 0) return Promise.resolve([]);
+    return dbAll(`SELECT r.message_id, r.reaction, r.user_id, u.username, u.fullname
+            FROM reactions r
+            LEFT JOIN users u ON u.id = r.user_id
+            WHERE r.message_id IN (${placeholders(messageIds)})
+            ORDER BY r.created_at, r.rowid`, messageIds);
+}
+
+async function hasReaction(messageId, userId, reaction) {
+    return Boolean(await dbGet('SELECT 1 FROM reactions WHERE message_id = ? AND user_id = ? AND reaction = ?',
+        [messageId, userId, reaction]));
+}
+
+function addReaction(messageId, userId, reaction) {
+    return dbRun(`INSERT OR IGNORE INTO reactions (message_id, user_id, reaction, created_at)
+            VALUES (?, ?, ?, ?)`, [messageId, userId, reaction, new Date().toISOString()]);
+}
+
+function removeReaction(messageId, userId, reaction) {
+    return dbRun('DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND reaction = ?',
+        [messageId, userId, reaction]);
+}
+
+module.exports = {
+    findMessage,
+    insertMessage,
+    selectMessagesWithAuthors,
+    findRepliableMessage,
+    selectForwardSources,
+    findMessageCursor,
+    findReplyCursor,
+    selectMessagePage,
+    searchMessages,
+    updateMessageText,
+    selectMessageRevisions,
+    indexMessageText,
+    unindexMessage,
+    hideMessage,
+    deleteMessageForEveryone,
+    saveReceipts,
+    selectReceiptMessageIds,
+    selectUnreadUpTo,
+    selectMessageReceipts,
+    recordMessageView,
+    selectMessageViews,
+    selectReactions,
+    hasReaction,
+    addReaction,
+    removeReaction
+};
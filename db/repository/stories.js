@@ -0,0 +1,100 @@
+const { dbGet, dbAll, dbRun } = require('..');
+
+// Истории, их просмотры и списки близких друзей
+
+// Автор видит свои истории всегда; остальные — если попали в аудиторию и не в списке скрытых.
+// Параметры: текущее время и четыре раза id зрителя
+const STORY_VISIBLE_CONDITION = `s.expires_at > ? AND (s.user_id = ? OR (
+        NOT EXISTS (SELECT 1 FROM story_hidden h WHERE h.story_id = s.id AND h.user_id = ?)
+        AND (s.audience = 'everyone'
+            OR (s.audience = 'contacts' AND EXISTS (SELECT 1 FROM contacts c
+                WHERE c.user_id = s.user_id AND c.contact_id = ?))
+            OR (s.audience = 'close_friends' AND EXISTS (SELECT 1 FROM close_friends f
+                WHERE f.user_id = s.user_id AND f.friend_id = ?)))))`;
+
+// Истории, видимые viewerId, новые сверху; storyId — только эта история.
+// viewed — смотрел ли он сам, view_count — только для своих историй
+function selectVisibleStories(viewerId, storyId = null) {
+    return dbAll(`SELECT s.*, u.username, u.fullname, u.avatar, a.mime, a.has_thumbnail, ? AS viewer_id,
+                EXISTS (SELECT 1 FROM story_views v WHERE v.story_id = s.id AND v.user_id = ?) AS viewed,
+                CASE WHEN s.user_id = ? THEN (SELECT COUNT(*) FROM story_views v WHERE v.story_id = s.id) END AS view_count
+            FROM stories s
+            JOIN users u ON u.id = s.user_id
+            LEFT JOIN attachments a ON a.id = s.attachment_id
+            WHERE ${storyId ? 's.id = ?' : '1 = 1'} AND ${STORY_VISIBLE_CONDITION}
+            ORDER BY s.created_at DESC`,
+        [viewerId, viewerId, viewerId, ...(storyId ? [storyId] : []),
+            new Date().toISOString(), viewerId, viewerId, viewerId, viewerId]);
+}
+
+// hiddenFrom — кому история не показывается, даже если он в аудитории
+async function insertStory(story, hiddenFrom) {
+    await dbRun(`INSERT INTO stories (id, user_id, content, type, attachment_id, audience, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [story.id, story.userId, story.content, story.type, story.attachmentId, story.audience,
+            story.createdAt, story.expiresAt]);
+    for (const userId of hiddenFrom) {
+        await dbRun('INSERT OR IGNORE INTO story_hidden (story_id, user_id) VALUES (?, ?)', [story.id, userId]);
+    }
+}
+
+function findStoryByAttachment(attachmentId) {
+    return dbGet('SELECT id FROM stories WHERE attachment_id = ?', [attachmentId]);
+}
+
+function selectExpiredStories() {
+    return dbAll('SELECT id, attachment_id FROM stories WHERE expires_at <= ?', [new Date().toISOString()]);
+}
+
+async function deleteStory(storyId) {
+    await dbRun('DELETE FROM story_views WHERE story_id = ?', [storyId]);
+    await dbRun('DELETE FROM story_hidden WHERE story_id = ?', [storyId]);
+    await dbRun('DELETE FROM stories WHERE id = ?', [storyId]);
+}
+
+// Просмотр засчитывается один раз: null — этот зритель уже смотрел, иначе новое число просмотров
+async function addStoryView(storyId, userId) {
+    const result = await dbRun('INSERT OR IGNORE INTO story_views (story_id, user_id, viewed_at) VALUES (?, ?, ?)',
+        [storyId, userId, new Date().toISOString()]);
+    if (!result.changes) return null;
+    const { count } = await dbGet('SELECT COUNT(*) AS count FROM story_views WHERE story_id = ?', [storyId]);
+    return count;
+}
+
+function selectStoryViewers(storyId) {
+    return dbAll(`SELECT u.id, u.username, u.fullname, u.avatar, v.viewed_at
+            FROM story_views v
+            JOIN users u ON u.id = v.user_id
+            WHERE v.story_id = ?
+            ORDER BY v.viewed_at DESC`, [storyId]);
+}
+
+// Близкие друзья
+function selectCloseFriends(userId) {
+    return dbAll(`SELECT u.id, u.username, u.fullname, u.avatar
+            FROM close_friends f
+            JOIN users u ON u.id = f.friend_id
+            WHERE f.user_id = ?
+            ORDER BY f.added_at`, [userId]);
+}
+
+// Список заменяется целиком
+async function replaceCloseFriends(userId, friendIds) {
+    const now = new Date().toISOString();
+    await dbRun('DELETE FROM close_friends WHERE user_id = ?', [userId]);
+    for (const friendId of friendIds) {
+        await dbRun('INSERT INTO close_friends (user_id, friend_id, added_at) VALUES (?, ?, ?)', [userId, friendId, now]);
+    }
+}
+
+module.exports = {
+    selectVisibleStories,
+    insertStory,
+    findStoryByAttachment,
+    selectExpiredStories,
+    deleteStory,
+    addStoryView,
+    selectStoryViewers,
+    selectCloseFriends,
+    replaceCloseFriends
+};
@@ -0,0 +1,172 @@
+const { dbGet, dbAll, dbRun } = require('..');
+const { placeholders, PRESENCE_COLUMNS } = require('./fragments');
+
+// Пользователи, сессии, контакты, черный список и статус в сети
+
+function findUserByUsername(username) {
+    return dbGet('SELECT * FROM users WHERE username = ? COLLATE NOCASE', [username]);
+}
+
+function findUser(userId) {
+    return dbGet('SELECT id FROM users WHERE id = ?', [userId]);
+}
+
+// Имена для служебных сообщений; порядок строк не гарантирован
+function selectUsers(userIds) {
+    if (userIds.length === 0) return Promise.resolve([]);
+    return dbAll(`SELECT id, username, fullname FROM users WHERE id IN (${placeholders(userIds)})`, userIds);
+}
+
+// Те из userIds, что есть в базе
+async function selectExistingUserIds(userIds) {
+    if (userIds.length === 0) return [];
+    const rows = await dbAll(`SELECT id FROM users WHERE id IN (${placeholders(userIds)})`, userIds);
+    return rows.map(row => row.id);
+}
+
+// false — имя успели занять; иначе пользователь сразу в общем чате
+async function saveRegisteredUser(user, passwordHash) {
+    try {
+        await dbRun('INSERT INTO users (id, username, fullname, email, password_hash, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [user.id, user.username, user.fullname, user.email, passwordHash, user.createdAt]);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return false;
+        throw error;
+    }
+
+    await dbRun("INSERT OR IGNORE INTO chat_members (chat_id, user_id, joined_at) VALUES ('general', ?, ?)",
+        [user.id, user.createdAt]);
+    return true;
+}
+
+// Сессии
+function insertSession(sessionId, userId, createdAt, expiresAt) {
+    return dbRun('INSERT INTO sessions (id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        [sessionId, userId, createdAt, expiresAt]);
+}
+
+// Пользователь действующей сессии или undefined, если она отозвана или истекла
+function findSessionUser(sessionId) {
+    return dbGet(`SELECT u.id, u.username, u.fullname, u.email, u.avatar
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.id = ? AND s.revoked = 0 AND s.expires_at > ?`,
+        [sessionId, new Date().toISOString()]);
+}
+
+function revokeSession(sessionId) {
+    return dbRun('UPDATE sessions SET revoked = 1 WHERE id = ?', [sessionId]);
+}
+
+// Статус в сети. last_seen обновляется и при входе, и при выходе
+function setUserOnline(userId, online) {
+    return dbRun('UPDATE users SET online = ?, last_seen = ? WHERE id = ?', [online ? 1 : 0, new Date().toISOString(), userId]);
+}
+
+// После перезапуска в сети никого нет, пока не подключится заново
+function resetOnlineUsers() {
+    return dbRun('UPDATE users SET online = 0 WHERE online = 1');
+}
+
+// Строка пользователя для describePresence без учета зрителя; блокировки и контакты —
+// отдельно, чтобы разослать статус многим зрителям за три запроса
+async function findPresence(userId) {
+    const user = await dbGet('SELECT id, username, fullname, online, last_seen, last_seen_privacy FROM users WHERE id = ?', [userId]);
+    if (!user) return null;
+    const [blocked, contacts] = await Promise.all([
+        dbAll('SELECT blocked_id AS id FROM blocked_users WHERE user_id = ?', [userId]),
+        dbAll('SELECT contact_id AS id FROM contacts WHERE user_id = ?', [userId])
+    ]);
+    return { user, blockedIds: blocked.map(row => row.id), contactIds: contacts.map(row => row.id) };
+}
+
+async function getLastSeenPrivacy(userId) {
+    const row = await dbGet('SELECT last_seen_privacy FROM users WHERE id = ?', [userId]);
+    return row ? row.last_seen_privacy : null;
+}
+
+function setLastSeenPrivacy(userId, value) {
+    return dbRun('UPDATE users SET last_seen_privacy = ? WHERE id = ?', [value, userId]);
+}
+
+// Карточки пользователей глазами viewerId (u — алиас users): колонки для describePresence
+// и отметки «в контактах» и «заблокирован»; почта в карточку не попадает
+function selectUserCards(viewerId, condition, params = [], { order = 'u.username', limit = -1 } = {}) {
+    return dbAll(`SELECT u.id, u.username, u.fullname, u.avatar, ${PRESENCE_COLUMNS},
+                EXISTS (SELECT 1 FROM contacts c WHERE c.user_id = ? AND c.contact_id = u.id) AS is_contact,
+                EXISTS (SELECT 1 FROM blocked_users b WHERE b.user_id = ? AND b.blocked_id = u.id) AS is_blocked
+            FROM users u
+            WHERE ${condition}
+            ORDER BY ${order}
+            LIMIT ?`, [viewerId, viewerId, viewerId, viewerId, ...params, limit]);
+}
+
+function selectUserCard(viewerId, userId) {
+    return selectUserCards(viewerId, 'u.id = ?', [userId]).then(([card]) => card);
+}
+
+function selectContactCards(userId) {
+    return selectUserCards(userId,
+        'u.id IN (SELECT contact_id FROM contacts WHERE user_id = ?)', [userId], { order: 'u.fullname, u.username' });
+}
+
+function selectBlockedCards(userId) {
+    return selectUserCards(userId, 'u.id IN (SELECT blocked_id FROM blocked_users WHERE user_id = ?)', [userId]);
+}
+
+// Поиск по началу имени пользователя; короткие имена выше, так точное совпадение всегда первое
+function searchUserCards(viewerId, prefix, limit) {
+    const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+    return selectUserCards(viewerId, `u.id != ? AND u.username LIKE ? ESCAPE '\\'`,
+        [viewerId, pattern], { order: 'length(u.username), u.username', limit });
+}
+
+// Контакты и черный список
+function addContact(userId, contactId) {
+    return dbRun('INSERT OR IGNORE INTO contacts (user_id, contact_id, added_at) VALUES (?, ?, ?)',
+        [userId, contactId, new Date().toISOString()]);
+}
+
+function removeContact(userId, contactId) {
+    return dbRun('DELETE FROM contacts WHERE user_id = ? AND contact_id = ?', [userId, contactId]);
+}
+
+function blockUser(userId, blockedId) {
+    return dbRun('INSERT OR IGNORE INTO blocked_users (user_id, blocked_id, blocked_at) VALUES (?, ?, ?)',
+        [userId, blockedId, new Date().toISOString()]);
+}
+
+function unblockUser(userId, blockedId) {
+    return dbRun('DELETE FROM blocked_users WHERE user_id = ? AND blocked_id = ?', [userId, blockedId]);
+}
+
+// Блокировка между двумя пользователями в любую сторону: user_id — кто заблокировал
+function findBlock(userId, peerId) {
+    return dbGet(`SELECT user_id FROM blocked_users
+            WHERE (user_id = ? AND blocked_id = ?) OR (user_id = ? AND blocked_id = ?)`, [userId, peerId, peerId, userId]);
+}
+
+module.exports = {
+    findUserByUsername,
+    findUser,
+    selectUsers,
+    selectExistingUserIds,
+    saveRegisteredUser,
+    insertSession,
+    findSessionUser,
+    revokeSession,
+    setUserOnline,
+    resetOnlineUsers,
+    findPresence,
+    getLastSeenPrivacy,
+    setLastSeenPrivacy,
+    selectUserCard,
+    selectContactCards,
+    selectBlockedCards,
+    searchUserCards,
+    addContact,
+    removeContact,
+    blockUser,
+    unblockUser,
+    findBlock
+};
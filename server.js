@@ -1,28 +1,65 @@
 const express = require('express');
 const WebSocket = require('ws');
 const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
 const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const fs = require('fs');
 const cors = require('cors');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const FileType = require('file-type');
+const { databaseDir, migrate } = require('./db');
+const {
+    findUserByUsername, findUser, selectUsers, selectExistingUserIds, saveRegisteredUser,
+    insertSession, findSessionUser, revokeSession, setUserOnline, resetOnlineUsers, findPresence,
+    getLastSeenPrivacy, setLastSeenPrivacy, selectUserCard, selectContactCards, selectBlockedCards, searchUserCards,
+    addContact, removeContact, blockUser, unblockUser, findBlock,
+    getEventSeq, appendUserEvent, getOldestEventSeq, selectEventsAfter, purgeEventsBefore,
+    getChatSummary, createChat, getOrCreatePrivateChat, createGeneralChat, addUsersToGeneralChat,
+    setChatName, setChatAvatar, setAllowedReactions, selectUserChats, selectDirectPeers,
+    getMembership, getChatMemberIds, selectOtherMemberIds, selectMemberIdsWithRoles, selectMemberChatIds,
+    selectNonMemberIds, selectChatMembers, countChatMembers, addChatMember, removeChatMember, setMemberRole,
+    findChatHeir, setReadCursor, searchPublicChannels, findPublicChannel,
+    insertInvite, selectChatInvites, revokeInvite, findUsableInvite, useInvite,
+    findMessage, insertMessage, selectMessagesWithAuthors, findRepliableMessage, selectForwardSources,
+    findMessageCursor, findReplyCursor, selectMessagePage, searchMessages, updateMessageText, selectMessageRevisions,
+    indexMessageText, hideMessage, deleteMessageForEveryone, saveReceipts, selectReceiptMessageIds, selectUnreadUpTo,
+    selectMessageReceipts, recordMessageView, selectMessageViews, selectReactions, hasReaction, addReaction, removeReaction,
+    findAttachment, findUnsentAttachment, findUnusedStoryMedia, insertAttachmentWithinQuota,
+    linkAttachment, deleteAttachment, getStorageUsage, selectStaleAttachments,
+    selectVisibleStories, insertStory, findStoryByAttachment, selectExpiredStories, deleteStory, addStoryView,
+    selectStoryViewers, selectCloseFriends, replaceCloseFriends,
+    insertCall, markCallAnswered, finishCallRecord, setCallChat, closeInterruptedCalls, findUserCall, selectUnseenCalls,
+    findCallCursor, selectCallPage, markCallsSeen,
+    selectBots, insertBot, findOwnedBot, selectOwnedBots, findBotByTokenHash, findBotWebhook, setBotToken, setBotWebhook,
+    insertBotUpdate, findDueBotUpdate, findNextBotRetry, postponeBotUpdate, deleteBotUpdate, selectBotUpdates,
+    acknowledgeBotUpdates, purgeBotUpdatesBefore, insertIncomingWebhook, findChatWebhook, findWebhookByToken,
+    selectChatWebhooks, touchIncomingWebhook, rotateIncomingWebhook, revokeIncomingWebhook
+} = require('./db/repository');
 
 // Создаем необходимые папки
 const uploadsDir = path.join(__dirname, 'uploads');
-const databaseDir = path.join(__dirname, 'database');
+const uploadsTmpDir = path.join(uploadsDir, 'tmp');
+const thumbnailsDir = path.join(uploadsDir, 'thumbs');
 
 if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir);
-if (!fs.existsSync(databaseDir)) fs.mkdirSync(databaseDir);
+if (!fs.existsSync(uploadsTmpDir)) fs.mkdirSync(uploadsTmpDir);
+if (!fs.existsSync(thumbnailsDir)) fs.mkdirSync(thumbnailsDir);
 
-// Настройка multer для загрузки файлов
+// Настройка multer: файл сначала попадает во временную папку,
+// в хранилище он переезжает только после проверки типа и квоты
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, uploadsDir);
+        cb(null, uploadsTmpDir);
     },
     filename: (req, file, cb) => {
-        const uniqueName = Date.now() + '-' + Math.random().toString(36).substr(2, 9) + '-' + file.originalname;
-        cb(null, uniqueName);
+        cb(null, uuidv4());
     }
 });
 const upload = multer({ 
@@ -30,142 +67,1224 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB максимум
 });
 
-// Инициализация БД
-const db = new sqlite3.Database(path.join(databaseDir, 'firemess.db'));
-
-// Создание таблиц
-db.serialize(() => {
-    // Пользователи
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        username TEXT UNIQUE,
-        fullname TEXT,
-        email TEXT,
-        avatar TEXT,
-        online BOOLEAN DEFAULT 0,
-        last_seen DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Сообщения
-    db.run(`CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY,
-        chat_id TEXT,
-        sender_id TEXT,
-        text TEXT,
-        image TEXT,
-        file TEXT,
-        file_name TEXT,
-        file_size INTEGER,
-        time DATETIME,
-        read BOOLEAN DEFAULT 0,
-        edited BOOLEAN DEFAULT 0,
-        deleted BOOLEAN DEFAULT 0
-    )`);
-
-    // Чаты
-    db.run(`CREATE TABLE IF NOT EXISTS chats (
-        id TEXT PRIMARY KEY,
-        name TEXT,
-        type TEXT DEFAULT 'private',
-        avatar TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Участники чатов
-    db.run(`CREATE TABLE IF NOT EXISTS chat_members (
-        chat_id TEXT,
-        user_id TEXT,
-        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (chat_id, user_id)
-    )`);
-
-    // Stories
-    db.run(`CREATE TABLE IF NOT EXISTS stories (
-        id TEXT PRIMARY KEY,
-        user_id TEXT,
-        content TEXT,
-        type TEXT DEFAULT 'text',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME
-    )`);
-
-    // Реакции
-    db.run(`CREATE TABLE IF NOT EXISTS reactions (
-        message_id TEXT,
-        user_id TEXT,
-        reaction TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (message_id, user_id, reaction)
-    )`);
-
-    // Контакты
-    db.run(`CREATE TABLE IF NOT EXISTS contacts (
-        user_id TEXT,
-        contact_id TEXT,
-        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (user_id, contact_id)
-    )`);
-
-    // Звонки
-    db.run(`CREATE TABLE IF NOT EXISTS calls (
-        id TEXT PRIMARY KEY,
-        caller_id TEXT,
-        receiver_id TEXT,
-        type TEXT,
-        status TEXT,
-        start_time DATETIME,
-        end_time DATETIME,
-        duration INTEGER
-    )`);
-
-    // Создаем общего чата если его нет
-    db.get("SELECT id FROM chats WHERE id = 'general'", (err, row) => {
-        if (!row) {
-            db.run("INSERT INTO chats (id, name, type) VALUES ('general', '🔥 Общий чат', 'group')");
-            
-            // Добавляем тестовые сообщения
-            const testMessages = [
-                { id: uuidv4(), text: 'Добро пожаловать в FireMess! 🔥', time: new Date(Date.now() - 86400000) },
-                { id: uuidv4(), text: 'Здесь собраны лучшие функции Telegram и Instagram', time: new Date(Date.now() - 82800000) },
-                { id: uuidv4(), text: 'Отправляйте сообщения, фото, стикеры', time: new Date(Date.now() - 79200000) },
-                { id: uuidv4(), text: 'Добавляйте stories и реагируйте на сообщения', time: new Date(Date.now() - 75600000) }
-            ];
-            
-            testMessages.forEach(msg => {
-                db.run(`INSERT INTO messages (id, chat_id, sender_id, text, time) VALUES (?, 'general', 'system', ?, ?)`,
-                    [msg.id, msg.text, msg.time.toISOString()]);
-            });
+// multer отдает имя файла в latin1
+function decodeFileName(file) {
+    return Buffer.from(file.originalname, 'latin1').toString('utf8');
+}
+
+// Права доступа
+const ADMIN_ROLES = ['owner', 'admin'];
+const ERROR_STATUS = { bad_request: 400, unauthorized: 401, forbidden: 403, not_found: 404, conflict: 409, quota_exceeded: 413, rate_limited: 429 };
+
+// Ошибка, которую можно показать клиенту: code уходит в кадр/ответ как есть
+class AccessError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function isChatAdmin(membership) {
+    return Boolean(membership) && ADMIN_ROLES.includes(membership.role);
+}
+
+async function assertChatMember(chatId, userId) {
+    const membership = chatId ? await getMembership(chatId, userId) : null;
+    if (!membership) {
+        throw new AccessError('forbidden', 'Вы не участник этого чата');
+    }
+    return membership;
+}
+
+// В канал пишут только администраторы, подписчики читают и ставят реакции
+async function assertCanPost(chatId, userId) {
+    const membership = await assertChatMember(chatId, userId);
+    const chat = await getChatSummary(chatId);
+    if (chat && chat.type === 'channel' && !isChatAdmin(membership)) {
+        throw new AccessError('forbidden', 'Публиковать в канале могут только администраторы');
+    }
+    if (chat && chat.type === 'private') {
+        for (const peerId of await selectOtherMemberIds(chatId, userId)) {
+            await assertNotBlocked(userId, peerId);
         }
+    }
+    return membership;
+}
+
+// Блокировка действует в обе стороны: пока она есть, ни один из двоих не пишет другому и не звонит
+async function assertNotBlocked(userId, peerId) {
+    const block = await findBlock(userId, peerId);
+    if (block) {
+        throw new AccessError('forbidden', block.user_id === userId ?
+            'Вы заблокировали этого пользователя' : 'Пользователь ограничил общение с вами');
+    }
+}
+
+// Сообщение доступно только участникам его чата
+async function assertMessageAccess(messageId, userId) {
+    const message = await findMessage(messageId);
+    if (!message || message.deleted) {
+        throw new AccessError('not_found', 'Сообщение не найдено');
+    }
+    const membership = await assertChatMember(message.chat_id, userId);
+    return { message, membership };
+}
+
+// Окна правки и удаления у всех, мс от отправки (Infinity — без ограничения).
+// Администратор удаляет чужие сообщения в любое время, это модерация
+const MESSAGE_EDIT_WINDOW = Number(process.env.MESSAGE_EDIT_WINDOW) || 48 * 60 * 60 * 1000;
+const MESSAGE_DELETE_WINDOW = Number(process.env.MESSAGE_DELETE_WINDOW) || 48 * 60 * 60 * 1000;
+
+// Править и удалять может автор или администратор чата
+async function assertCanModifyMessage(messageId, userId) {
+    const { message, membership } = await assertMessageAccess(messageId, userId);
+    if (message.sender_id !== userId && !isChatAdmin(membership)) {
+        throw new AccessError('forbidden', 'Недостаточно прав для изменения сообщения');
+    }
+    return { message, membership };
+}
+
+function isWithinWindow(message, windowMs) {
+    return Date.now() - new Date(message.time).getTime() <= windowMs;
+}
+
+function assertCallParticipant(callId, userId) {
+    const call = activeCalls.get(callId);
+    if (!call) {
+        throw new AccessError('not_found', 'Звонок не найден или уже завершен');
+    }
+    if (call.callerId !== userId && call.receiverId !== userId) {
+        throw new AccessError('forbidden', 'Вы не участник этого звонка');
+    }
+    return call;
+}
+
+function sendError(res, error) {
+    if (error instanceof AccessError) {
+        res.status(ERROR_STATUS[error.code] || 400).json({ error: error.message, code: error.code });
+    } else {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Вложения
+const UPLOAD_TTL = 60 * 60 * 1000; // неотправленные вложения удаляем через час
+const USER_STORAGE_QUOTA = Number(process.env.USER_STORAGE_QUOTA) || 500 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+const SNIFF_BYTES = 8192;
+// Подписанные ссылки на вложения: срок округляется вверх до шага, чтобы ссылка на одно
+// и то же вложение какое-то время не менялась и браузер брал файл из кеша
+const MEDIA_URL_TTL = 60 * 60 * 1000;
+const MEDIA_URL_STEP = 10 * 60 * 1000;
+const MEDIA_SIGNATURES_LIMIT = 200;
+
+// Разрешенные типы определяются по содержимому, а не по расширению
+const ALLOWED_MIME_TYPES = new Set([
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+    'video/mp4', 'video/webm', 'video/quicktime',
+    'audio/mpeg', 'audio/ogg', 'audio/opus', 'audio/wav', 'audio/webm', 'audio/mp4', 'audio/x-m4a',
+    'application/pdf', 'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain'
+]);
+const THUMBNAIL_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+function blobPath(hash) {
+    return path.join(uploadsDir, hash.slice(0, 2), hash);
+}
+
+function thumbnailPath(hash) {
+    return path.join(thumbnailsDir, `${hash}.jpg`);
+}
+
+function attachmentUrl(attachment) {
+    return `/api/attachments/${attachment.id}`;
+}
+
+// Текст без сигнатуры распознаем по отсутствию нулевых байтов
+async function sniffMimeType(filePath) {
+    const detected = await FileType.fromFile(filePath);
+    if (detected) return detected.mime;
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead).includes(0) ? null : 'text/plain';
+    } finally {
+        await handle.close();
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
     });
-});
+}
+
+// Размеры и превью для картинок; превью общее для всех копий файла
+async function describeImage(hash) {
+    const source = blobPath(hash);
+    const { width, height } = await sharp(source).metadata();
+    const thumbnail = thumbnailPath(hash);
+
+    if (!fs.existsSync(thumbnail)) {
+        await sharp(source)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toFile(thumbnail);
+    }
+    return { width, height };
+}
+
+// Голосовые: длительность и форма волны считаются при отправке декодированием через ffmpeg
+// (путь — FFMPEG_PATH). Без ffmpeg сообщение уходит без них, клиент берет длительность из файла
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// MediaRecorder пишет webm/ogg/mp4; по сигнатуре контейнер без видео выглядит как video/*
+const VOICE_MIME_TYPES = new Set([
+    'audio/ogg', 'audio/opus', 'audio/webm', 'audio/mpeg', 'audio/wav', 'audio/mp4', 'audio/x-m4a',
+    'video/webm', 'video/mp4'
+]);
+const VOICE_SAMPLE_RATE = 8000;
+const VOICE_PEAK_WINDOW = 400; // сэмплов на один пик, 50 мс
+const WAVEFORM_BARS = 48;
+const VOICE_ANALYZE_TIMEOUT = 15 * 1000;
+
+// Декодируем в моно PCM 8 кГц и по ходу чтения копим пики окон, весь звук в памяти не держим
+function analyzeVoice(filePath) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, ['-v', 'error', '-i', filePath, '-vn', '-ac', '1',
+            '-ar', String(VOICE_SAMPLE_RATE), '-f', 's16le', 'pipe:1'], { stdio: ['ignore', 'pipe', 'pipe'] });
+        const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), VOICE_ANALYZE_TIMEOUT);
+        const peaks = [];
+        let samples = 0;
+        let windowPeak = 0;
+        let windowSize = 0;
+        let leftover = null;
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', chunk => {
+            if (leftover) {
+                chunk = Buffer.concat([leftover, chunk]);
+                leftover = null;
+            }
+            const length = chunk.length - (chunk.length % 2);
+            if (length < chunk.length) leftover = chunk.subarray(length);
+
+            for (let offset = 0; offset < length; offset += 2) {
+                windowPeak = Math.max(windowPeak, Math.abs(chunk.readInt16LE(offset)));
+                if (++windowSize === VOICE_PEAK_WINDOW) {
+                    peaks.push(windowPeak);
+                    windowPeak = 0;
+                    windowSize = 0;
+                }
+            }
+            samples += length / 2;
+        });
+        ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+        ffmpeg.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        ffmpeg.on('close', code => {
+            clearTimeout(timer);
+            if (code !== 0 || samples === 0) {
+                reject(new Error(stderr.trim() || `ffmpeg завершился с кодом ${code}`));
+                return;
+            }
+            if (windowSize) peaks.push(windowPeak);
+            resolve({
+                duration: Math.round(samples / VOICE_SAMPLE_RATE * 10) / 10,
+                waveform: buildWaveform(peaks)
+            });
+        });
+    });
+}
+
+// WAVEFORM_BARS столбиков 0..100 относительно самого громкого места записи
+function buildWaveform(peaks) {
+    const loudest = peaks.reduce((max, peak) => Math.max(max, peak), 1);
+    return Array.from({ length: WAVEFORM_BARS }, (_, bar) => {
+        const from = Math.floor(bar * peaks.length / WAVEFORM_BARS);
+        const to = Math.max(Math.floor((bar + 1) * peaks.length / WAVEFORM_BARS), from + 1);
+        const peak = peaks.slice(from, to).reduce((max, value) => Math.max(max, value), 0);
+        return Math.round(peak / loudest * 100);
+    });
+}
+
+async function describeVoice(attachment) {
+    try {
+        return await analyzeVoice(blobPath(attachment.hash));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.warn('⚠️ ffmpeg не найден, голосовое сообщение отправлено без волны');
+            return { duration: null, waveform: null };
+        }
+        console.error('❌ Не удалось разобрать голосовое сообщение:', error.message);
+        throw new AccessError('bad_request', 'Не удалось прочитать аудиозапись');
+    }
+}
+
+// Проверяет загруженный во временную папку файл и кладет его в хранилище
+async function storeAttachment({ tempPath, originalName, size, ownerId, chatId }) {
+    try {
+        const mime = await sniffMimeType(tempPath);
+        if (!mime || !ALLOWED_MIME_TYPES.has(mime)) {
+            throw new AccessError('bad_request', 'Этот тип файлов не поддерживается');
+        }
+
+        // Ранний отказ, чтобы не считать хеш зря; окончательно квоту проверяет вставка записи
+        const used = await getStorageUsage(ownerId);
+        if (used + size > USER_STORAGE_QUOTA) {
+            throw new AccessError('quota_exceeded', 'Превышена квота хранилища');
+        }
+
+        // Одинаковые файлы хранятся в одном экземпляре
+        const hash = await hashFile(tempPath);
+        const target = blobPath(hash);
+        if (!fs.existsSync(target)) {
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.rename(tempPath, target);
+        }
+
+        let dimensions = { width: null, height: null };
+        let hasThumbnail = false;
+        if (THUMBNAIL_MIME_TYPES.has(mime)) {
+            try {
+                dimensions = await describeImage(hash);
+                hasThumbnail = true;
+            } catch (error) {
+                console.error('❌ Не удалось создать превью:', error.message);
+            }
+        }
+
+        const attachment = {
+            id: uuidv4(),
+            owner_id: ownerId,
+            chat_id: chatId,
+            hash: hash,
+            mime: mime,
+            size: size,
+            width: dimensions.width,
+            height: dimensions.height,
+            original_name: originalName,
+            has_thumbnail: hasThumbnail ? 1 : 0,
+            created_at: new Date().toISOString()
+        };
+        if (!await insertAttachmentWithinQuota(attachment, USER_STORAGE_QUOTA)) {
+            // Записи нет: файл стирается, если другие записи на него не ссылаются
+            await removeAttachment(attachment);
+            throw new AccessError('quota_exceeded', 'Превышена квота хранилища');
+        }
+        return attachment;
+    } finally {
+        // После переноса временного файла уже нет — ошибку unlink игнорируем
+        fs.unlink(tempPath, () => {});
+    }
+}
+
+// Удаляет запись вложения и сам файл, если на него больше никто не ссылается
+async function removeAttachment(attachment) {
+    if (await deleteAttachment(attachment)) {
+        fs.unlink(blobPath(attachment.hash), () => {});
+        fs.unlink(thumbnailPath(attachment.hash), () => {});
+    }
+}
+
+async function purgeStaleUploads() {
+    const cutoff = new Date(Date.now() - UPLOAD_TTL).toISOString();
+    for (const attachment of await selectStaleAttachments(cutoff)) {
+        await removeAttachment(attachment);
+    }
+}
+
+setInterval(() => {
+    purgeStaleUploads().catch(error => console.error('❌ Ошибка очистки вложений:', error));
+}, UPLOAD_TTL);
+
+// Ввод пользователя не должен ломать синтаксис MATCH: каждое слово — префиксная фраза
+function buildSearchQuery(query) {
+    return query.split(/\s+/)
+        .filter(Boolean)
+        .map(term => `"${term.replace(/"/g, '""')}"*`)
+        .join(' ');
+}
+
+// Авторизация
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 дней
+const AUTH_TIMEOUT = 10 * 1000; // время на отправку auth после подключения
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{2,30}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const sessionSecret = process.env.SESSION_SECRET || loadSessionSecret();
+const scrypt = promisify(crypto.scrypt);
+
+// Секрет хранится рядом с БД, чтобы токены переживали перезапуск
+function loadSessionSecret() {
+    const secretPath = path.join(databaseDir, 'session.secret');
+    if (fs.existsSync(secretPath)) {
+        return fs.readFileSync(secretPath, 'utf8').trim();
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    return secret;
+}
+
+// Хеш пароля хранится как "соль:хеш"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, 64);
+    return `${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const key = await scrypt(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+function signSession(sessionId, expiresAt) {
+    return crypto.createHmac('sha256', sessionSecret)
+        .update(`${sessionId}.${expiresAt}`)
+        .digest('base64url');
+}
+
+// Токен: "<id сессии>.<срок действия>.<подпись>"
+async function createSession(userId) {
+    const sessionId = uuidv4();
+    const now = Date.now();
+    const expiresAt = now + SESSION_TTL;
+
+    await insertSession(sessionId, userId, new Date(now).toISOString(), new Date(expiresAt).toISOString());
+    return `${sessionId}.${expiresAt}.${signSession(sessionId, expiresAt)}`;
+}
+
+// Проверяет подпись, срок и отзыв токена; отдает { user, sessionId } или null
+async function verifySessionToken(token) {
+    const [sessionId, expiresAt, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!sessionId || !expiresAt || !signature) return null;
+
+    const expected = Buffer.from(signSession(sessionId, expiresAt));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    if (Number(expiresAt) < Date.now()) return null;
+
+    const user = await findSessionUser(sessionId);
+    return user ? { user, sessionId } : null;
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        fullname: user.fullname,
+        email: user.email,
+        avatar: user.avatar
+    };
+}
+
+// Пользователь глазами других: почту видит только он сам
+function profileCard(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        fullname: user.fullname,
+        avatar: user.avatar
+    };
+}
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Файлы идут через /api/upload, по сокету — только небольшие кадры
+const wss = new WebSocket.Server({ server, maxPayload: 1024 * 1024 });
 
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Статические файлы
-app.use(express.static(path.join(__dirname)));
-app.use('/uploads', express.static(uploadsDir));
+// Статики, кроме index.html (его отдает обработчик ниже), нет: корень проекта
+// с базой и uploads/ наружу не раздаем, файлы — только через /api/attachments
+
+// Хранилище активных соединений: у пользователя может быть открыто несколько устройств
+const clients = new Map(); // userId -> Set<WebSocket>
+
+// Возвращает true, если это первое соединение пользователя
+function addClient(userId, ws) {
+    const sockets = clients.get(userId) || new Set();
+    clients.set(userId, sockets);
+    sockets.add(ws);
+    return sockets.size === 1;
+}
+
+// Возвращает true, если закрылось последнее соединение пользователя
+function removeClient(userId, ws) {
+    const sockets = clients.get(userId);
+    if (!sockets || !sockets.delete(ws)) return false;
+    if (sockets.size) return false;
+    clients.delete(userId);
+    return true;
+}
+
+function sendToUser(userId, data, excludeSocket = null) {
+    const sockets = clients.get(userId);
+    if (!sockets) return;
+    const payload = JSON.stringify(data);
+    sockets.forEach(socket => {
+        if (socket !== excludeSocket && socket.readyState === WebSocket.OPEN) {
+            socket.send(payload);
+        }
+    });
+}
+
+// Пинг всем соединениям: кто не ответил понгом до следующего пинга, считается оборванным
+// и закрывается — так пользователь не остается «в сети» после пропажи связи
+const HEARTBEAT_INTERVAL = Number(process.env.HEARTBEAT_INTERVAL) || 30 * 1000;
+
+setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+            ws.terminate();
+            return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL);
+
+// Приватность статуса: что пользователь в сети и когда был, видят все (everyone), только те,
+// кого он сам добавил в контакты (contacts), или никто (nobody). Остальным достается
+// примерное время last_seen_approx: recently, within_week, within_month или long_ago
+const PRESENCE_PRIVACY = ['everyone', 'contacts', 'nobody'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function canSeePresence(row, viewerId) {
+    if (row.id === viewerId) return true;
+    if (row.presence_blocked) return false;
+    return row.last_seen_privacy === 'everyone' || (row.last_seen_privacy === 'contacts' && Boolean(row.presence_contact));
+}
+
+// Заблокировавший зрителя для него «был давно» в любом случае
+function approximateLastSeen(row) {
+    if (row.presence_blocked) return 'long_ago';
+    const age = Date.now() - new Date(row.last_seen || 0).getTime();
+    if (row.online || age <= 3 * DAY) return 'recently';
+    if (age <= 7 * DAY) return 'within_week';
+    if (age <= 30 * DAY) return 'within_month';
+    return 'long_ago';
+}
+
+// Строка с колонками статуса из репозитория → то, что о статусе положено знать зрителю
+function describePresence(row, viewerId) {
+    const { last_seen_privacy, presence_blocked, presence_contact, ...user } = row;
+    if (canSeePresence(row, viewerId)) {
+        return { ...user, online: Boolean(user.online), last_seen_approx: null };
+    }
+    return { ...user, online: false, last_seen: null, last_seen_approx: approximateLastSeen(row) };
+}
+
+// Текущий статус userId каждому из viewerIds в том виде, в каком ему положено его видеть.
+// visibleOnly — только тем, кому статус виден: иначе сам момент входа выдавал бы скрытого
+async function sendPresence(userId, viewerIds, { visibleOnly = false } = {}) {
+    if (!viewerIds.length) return;
+    const subject = await findPresence(userId);
+    if (!subject) return;
+    const { user } = subject;
+    const blocked = new Set(subject.blockedIds);
+    const contacts = new Set(subject.contactIds);
+
+    viewerIds.forEach(viewerId => {
+        const row = { ...user, presence_blocked: blocked.has(viewerId), presence_contact: contacts.has(viewerId) };
+        if (visibleOnly && !canSeePresence(row, viewerId)) return;
+
+        const presence = describePresence(row, viewerId);
+        sendToUser(viewerId, {
+            type: presence.online ? 'user_online' : 'user_offline',
+            userId,
+            username: presence.username,
+            fullname: presence.fullname,
+            last_seen: presence.last_seen,
+            last_seen_approx: presence.last_seen_approx
+        });
+    });
+}
+
+// Вход и выход: всем подключенным, кому статус виден
+function broadcastPresence(userId) {
+    return sendPresence(userId, [...clients.keys()].filter(id => id !== userId), { visibleOnly: true });
+}
+
+// Звонки один на один. Сервер только пересылает SDP и ICE-кандидаты, медиа идет напрямую
+// между клиентами (или через TURN). Статусы: ringing → accepted → ended,
+// а также rejected, missed (не ответили или отменили) и busy (абонент уже говорит)
+const CALL_TYPES = ['audio', 'video'];
+const CALL_RING_TIMEOUT = Number(process.env.CALL_RING_TIMEOUT) || 30 * 1000;
+const activeCalls = new Map(); // callId -> звонок
+const userCalls = new Map(); // userId -> callId текущего звонка
+// Устройство, с которого пользователь в звонке (личном или групповом). Пока вызов
+// не принят, у вызываемого записи нет: звонок идет на все его устройства
+const callDevices = new Map(); // userId -> WebSocket
+
+function sendToCallDevice(userId, data) {
+    const socket = callDevices.get(userId);
+    if (!socket) {
+        sendToUser(userId, data);
+    } else if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(data));
+    }
+}
+
+// STUN/TURN задаются через окружение: STUN_URLS и TURN_URLS — списки через запятую
+function getIceServers() {
+    const list = value => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+    const servers = [{ urls: list(process.env.STUN_URLS || 'stun:stun.l.google.com:19302') }];
+    const turnUrls = list(process.env.TURN_URLS);
+    if (turnUrls.length) {
+        servers.push({
+            urls: turnUrls,
+            username: process.env.TURN_USERNAME,
+            credential: process.env.TURN_CREDENTIAL
+        });
+    }
+    return servers.filter(server => server.urls.length);
+}
+
+function callPeerId(call, userId) {
+    return call.callerId === userId ? call.receiverId : call.callerId;
+}
+
+// Итог звонка пишется в calls; длительность считается от ответа, а не от вызова
+async function finishCall(call, status) {
+    if (!activeCalls.delete(call.id)) return;
+    clearTimeout(call.ringTimer);
+    // Занятый абонент в этом звонке не участвовал, уведомлять его не о чем
+    const participants = [call.callerId, call.receiverId].filter(userId => userCalls.get(userId) === call.id);
+    participants.forEach(userId => {
+        userCalls.delete(userId);
+        callDevices.delete(userId);
+    });
+
+    const endTime = new Date();
+    const duration = call.answerTime ? Math.round((endTime - call.answerTime) / 1000) : 0;
+    participants.forEach(userId => sendToUser(userId, {
+        type: 'call_ended',
+        callId: call.id,
+        status,
+        duration
+    }));
+    await finishCallRecord(call.id, status, endTime.toISOString(), duration);
+    console.log(`📞 Звонок ${call.id} завершен: ${status}, ${duration} с`);
+
+    await postCallSummary(call, status, duration);
+    if (MISSED_CALL_STATUSES.includes(status)) {
+        const row = await findUserCall(call.receiverId, call.id);
+        await publishEvent([call.receiverId], { type: 'call_missed', call: formatCall(row, call.receiverId) });
+    }
+}
+
+// Групповые звонки: одна комната на групповой чат, медиа идет «каждый с каждым» (mesh).
+// Новый участник сам отправляет offer всем, кто уже в комнате; сервер пересылает сигналы
+// адресно и рассылает состояние микрофона и камеры. Последний вышедший закрывает комнату
+const MAX_GROUP_CALL_PARTICIPANTS = Number(process.env.MAX_GROUP_CALL_PARTICIPANTS) || 8;
+const callRooms = new Map(); // chatId -> комната
+const userRooms = new Map(); // userId -> chatId комнаты, в которой пользователь сейчас
+
+function isInCall(userId) {
+    return userCalls.has(userId) || userRooms.has(userId);
+}
+
+function roomParticipants(room) {
+    return Array.from(room.participants, ([userId, state]) => ({ userId, ...state }));
+}
+
+function sendToRoom(room, data, excludeUserId = null) {
+    room.participants.forEach((state, userId) => {
+        if (userId !== excludeUserId) sendToCallDevice(userId, data);
+    });
+}
+
+function groupCallState(chatId, room) {
+    return {
+        type: 'group_call_updated',
+        chatId,
+        callId: room ? room.id : null,
+        callType: room ? room.type : null,
+        participants: room ? Array.from(room.participants.keys()) : []
+    };
+}
+
+// Все участники чата видят, идет ли в нем звонок и кто в нем, — чтобы присоединиться
+async function announceRoom(chatId) {
+    const data = groupCallState(chatId, callRooms.get(chatId));
+    (await getChatMemberIds(chatId)).forEach(userId => sendToUser(userId, data));
+}
+
+// Групповые звонки в журнал один на один не попадают: собеседника у них нет (receiver_id пустой)
+async function leaveRoom(userId, chatId = userRooms.get(userId)) {
+    const room = callRooms.get(chatId);
+    if (!room || !room.participants.delete(userId)) return;
+    userRooms.delete(userId);
+    callDevices.delete(userId);
+
+    sendToRoom(room, { type: 'group_call_participant_left', chatId, userId });
+    if (room.participants.size === 0) {
+        callRooms.delete(chatId);
+        const endTime = new Date();
+        const duration = Math.round((endTime - room.startTime) / 1000);
+        await finishCallRecord(room.id, 'ended', endTime.toISOString(), duration);
+        await postSystemMessage(chatId,
+            `${room.type === 'video' ? '📹' : '📞'} Групповой звонок завершен · ${formatCallDuration(duration)}`,
+            { action: 'group_call_ended', callId: room.id, callType: room.type, duration });
+    }
+    await announceRoom(chatId);
+}
+
+async function sendActiveGroupCalls(ws, userId) {
+    if (callRooms.size === 0) return;
+    const chatIds = await selectMemberChatIds(userId, Array.from(callRooms.keys()));
+    chatIds.forEach(chatId => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(groupCallState(chatId, callRooms.get(chatId))));
+        }
+    });
+}
+
+// Журнал звонков. Для получателя «пропущенный» — и неотвеченный, и пришедшийся на другой разговор
+const CALL_PAGE_SIZE = 30;
+const MAX_CALL_PAGE_SIZE = 100;
+const MISSED_CALL_STATUSES = ['missed', 'busy'];
+const CALL_SUMMARY_TEXT = {
+    ended: 'Звонок',
+    missed: 'Пропущенный звонок',
+    rejected: 'Отклоненный звонок',
+    busy: 'Звонок: абонент был занят'
+};
+
+function formatCall(row, userId) {
+    return {
+        id: row.id,
+        direction: row.caller_id === userId ? 'outgoing' : 'incoming',
+        type: row.type,
+        status: row.status,
+        duration: row.duration || 0,
+        chatId: row.chat_id,
+        startTime: row.start_time,
+        answerTime: row.answer_time,
+        endTime: row.end_time,
+        peer: profileCard({ ...row, id: row.peer_id })
+    };
+}
+
+function formatCallDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Итог звонка остается в личном чате собеседников служебным сообщением
+async function postCallSummary(call, status, duration) {
+    const chatId = await getOrCreatePrivateChat(call.callerId, call.receiverId);
+    await setCallChat(call.id, chatId);
+
+    const icon = call.type === 'video' ? '📹' : '📞';
+    const text = `${icon} ${CALL_SUMMARY_TEXT[status]}${status === 'ended' ? ` · ${formatCallDuration(duration)}` : ''}`;
+    await postSystemMessage(chatId, text, {
+        action: 'call',
+        callId: call.id,
+        callType: call.type,
+        status,
+        duration,
+        callerId: call.callerId,
+        receiverId: call.receiverId
+    });
+}
+
+// Пропущенные звонки, которых пользователь еще не видел, приходят сразу после входа
+function sendMissedCalls(ws, userId) {
+    selectUnseenCalls(userId, MISSED_CALL_STATUSES).then(rows => {
+        if (rows.length && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'missed_calls', calls: rows.map(row => formatCall(row, userId)) }));
+        }
+    }).catch(error => console.error('❌ Ошибка загрузки пропущенных звонков:', error));
+}
+
+// Отбой или обрыв связи: до ответа звонок у собеседника пропущен (или отклонен им самим)
+function hangUpCall(call, userId) {
+    if (call.status === 'accepted') {
+        return finishCall(call, 'ended');
+    }
+    return finishCall(call, userId === call.receiverId ? 'rejected' : 'missed');
+}
+
+// Журнал событий. Счетчик seq хранится у пользователя и не сбрасывается,
+// поэтому номера не повторяются и после очистки старых записей
+const EVENT_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const SYNC_BATCH_SIZE = 200;
+const MAX_VIEW_BATCH = 100;
+
+// Событие чата попадает в журнал каждого получателя и сразу уходит тем, кто онлайн;
+// остальные заберут его запросом sync после переподключения
+async function publishEvent(userIds, data) {
+    for (const userId of userIds) {
+        // У ботов нет журнала и сокета: им нужны только сообщения, они уходят в очередь обновлений
+        if (botIds.has(userId)) {
+            await queueBotUpdate(userId, data);
+            continue;
+        }
+        const seq = await appendUserEvent(userId, data);
+        if (seq !== null) {
+            sendToUser(userId, { ...data, seq });
+        }
+    }
+}
+
+async function purgeOldEvents() {
+    const cutoff = new Date(Date.now() - EVENT_RETENTION).toISOString();
+    await purgeEventsBefore(cutoff);
+}
+
+setInterval(() => {
+    purgeOldEvents().catch(error => console.error('❌ Ошибка очистки журнала событий:', error));
+}, 60 * 60 * 1000);
+
+// Квитанции о доставке и прочтении
+
+// Отмечает сообщения доставленными пользователю и сообщает об этом отправителям
+async function markDelivered(userId, messages) {
+    const incoming = messages.filter(m => m.sender_id !== userId);
+    if (incoming.length === 0) return;
+
+    const knownIds = new Set(await selectReceiptMessageIds(userId, incoming.map(m => m.id)));
+    const fresh = incoming.filter(m => !knownIds.has(m.id));
+    if (fresh.length === 0) return;
+
+    const deliveredAt = new Date().toISOString();
+    await saveReceipts(fresh.map(m => ({ messageId: m.id, userId, deliveredAt })));
+    fresh.forEach(m => sendToUser(m.sender_id, {
+        type: 'message_delivered',
+        messageId: m.id,
+        chatId: m.chat_id,
+        userId,
+        deliveredAt
+    }));
+}
+
+// Сдвигает курсор прочтения участника до сообщения target включительно.
+// Отправители получают по одному кадру со списком своих прочитанных сообщений
+async function markReadUpTo(membership, target) {
+    const { chat_id: chatId, user_id: userId } = membership;
+    if (membership.last_read_time &&
+        (membership.last_read_time > target.time ||
+            (membership.last_read_time === target.time && membership.last_read_message_id >= target.id))) {
+        return;
+    }
+
+    const unread = await selectUnreadUpTo(membership, target);
+
+    const readAt = new Date().toISOString();
+    await saveReceipts(unread.map(m => ({ messageId: m.id, userId, deliveredAt: readAt, readAt })));
+    await setReadCursor(chatId, userId, target);
+
+    const bySender = new Map();
+    unread.forEach(m => {
+        if (!bySender.has(m.sender_id)) bySender.set(m.sender_id, []);
+        bySender.get(m.sender_id).push(m.id);
+    });
+    bySender.forEach((messageIds, senderId) => sendToUser(senderId, {
+        type: 'messages_read',
+        chatId,
+        readerId: userId,
+        messageIds,
+        upToMessageId: target.id,
+        readAt
+    }));
+}
+
+// Отправка сообщений. Служебные сообщения (kind = 'system') пишутся от имени
+// SYSTEM_SENDER, а в meta лежит машиночитаемое описание события
+const SYSTEM_SENDER = { id: 'system', username: 'system', fullname: 'FireMess' };
+
+// Сохраняет сообщение, подтверждает его отправителю (message_sent) и рассылает
+// участникам (new_message); кто онлайн — тому сообщение сразу доставлено
+// replyTo — строка сообщения, на которое отвечают (с именем автора), forwardFrom — исходный автор пересылки
+async function sendChatMessage({ chatId, sender, text, attachment = null, kind = 'text', meta = null,
+    replyTo = null, forwardFrom = null }) {
+    const messageId = uuidv4();
+    const time = new Date();
+    const file = attachment ? attachmentUrl(attachment) : null;
+    const image = attachment && attachment.mime.startsWith('image/') ? file : null;
+    const fileName = attachment ? attachment.original_name : null;
+    const fileSize = attachment ? attachment.size : null;
+
+    await insertMessage({
+        id: messageId,
+        chatId,
+        senderId: sender.id,
+        text,
+        image,
+        file,
+        fileName,
+        fileSize,
+        time: time.toISOString(),
+        attachmentId: attachment ? attachment.id : null,
+        kind,
+        meta: meta ? JSON.stringify(meta) : null,
+        replyTo: replyTo ? replyTo.id : null,
+        forwardSenderId: forwardFrom ? forwardFrom.senderId : null,
+        forwardSenderName: forwardFrom ? forwardFrom.senderName : null,
+        forwardChatId: forwardFrom ? forwardFrom.chatId : null
+    });
+    if (text && kind !== 'system') await indexMessageText(messageId, text);
+    if (attachment) {
+        await linkAttachment(attachment.id, messageId);
+    }
+
+    const messageData = {
+        type: 'new_message',
+        id: messageId,
+        chatId: chatId,
+        senderId: sender.id,
+        senderName: sender.username,
+        senderFullname: sender.fullname || sender.username,
+        text: text,
+        kind: kind,
+        meta: meta,
+        image: image,
+        file: file,
+        fileName: fileName,
+        fileSize: fileSize,
+        attachmentId: attachment ? attachment.id : null,
+        mime: attachment ? attachment.mime : null,
+        width: attachment ? attachment.width : null,
+        height: attachment ? attachment.height : null,
+        thumbnail: attachment && attachment.has_thumbnail ? `${file}/thumbnail` : null,
+        time: time,
+        views: 0,
+        read: false,
+        reactions: [],
+        replyTo: replyTo ? messagePreview(replyTo) : null,
+        forwardedFrom: forwardFrom,
+        replyCount: 0
+    };
+
+    await clearActivity(chatId, sender);
+    await publishEvent([sender.id], { ...messageData, type: 'message_sent' });
+
+    const recipients = (await getChatMemberIds(chatId)).filter(id => id !== sender.id);
+    for (const userId of recipients) {
+        await publishEvent([userId], messageData);
+        if (clients.has(userId) && sender.id !== SYSTEM_SENDER.id) {
+            await markDelivered(userId, [{ id: messageId, chat_id: chatId, sender_id: sender.id }]);
+        }
+    }
+    return messageData;
+}
+
+// Индикаторы действий в чате: печатает, записывает голосовое, загружает файл.
+// Пока действие идет, клиент повторяет кадр; сервер рассылает его всем участникам в сети,
+// повторы чаще ACTIVITY_THROTTLE гасит, а если клиент замолчал — через ACTIVITY_TTL сам шлет stop
+const CHAT_ACTIONS = ['typing', 'recording', 'uploading'];
+const ACTIVITY_THROTTLE = 3 * 1000;
+const ACTIVITY_TTL = Number(process.env.ACTIVITY_TTL) || 6 * 1000;
+const chatActivity = new Map(); // `${chatId}:${userId}` -> { chatId, user, action, sentAt, timer }
+
+async function publishActivity(chatId, user, action) {
+    const recipients = (await getChatMemberIds(chatId)).filter(id => id !== user.id && clients.has(id));
+    recipients.forEach(userId => sendToUser(userId, {
+        type: 'chat_activity',
+        chatId: chatId,
+        userId: user.id,
+        username: user.username,
+        fullname: user.fullname || user.username,
+        action: action,
+        expiresIn: action === 'stop' ? 0 : ACTIVITY_TTL
+    }));
+}
+
+function setActivity(chatId, user, action) {
+    const key = `${chatId}:${user.id}`;
+    const current = chatActivity.get(key);
+    if (current) clearTimeout(current.timer);
+
+    const now = Date.now();
+    const fresh = !current || current.action !== action || now - current.sentAt >= ACTIVITY_THROTTLE;
+    chatActivity.set(key, {
+        chatId,
+        user,
+        action,
+        sentAt: fresh ? now : current.sentAt,
+        timer: setTimeout(() => {
+            clearActivity(chatId, user).catch(error => console.error('❌ Ошибка сброса индикатора:', error));
+        }, ACTIVITY_TTL)
+    });
+    return fresh ? publishActivity(chatId, user, action) : Promise.resolve();
+}
+
+function clearActivity(chatId, user) {
+    const key = `${chatId}:${user.id}`;
+    const current = chatActivity.get(key);
+    if (!current) return Promise.resolve();
+
+    clearTimeout(current.timer);
+    chatActivity.delete(key);
+    return publishActivity(chatId, user, 'stop');
+}
+
+function clearUserActivity(userId) {
+    const entries = Array.from(chatActivity.values()).filter(entry => entry.user.id === userId);
+    return Promise.all(entries.map(entry => clearActivity(entry.chatId, entry.user)));
+}
+
+// Ответы и пересылка
+const REPLY_SNIPPET_LENGTH = 100;
+const MAX_FORWARD_BATCH = 100;
+
+// Приветственные сообщения общего чата подписаны системой, строки в users у нее нет
+function authorName(row) {
+    if (row.fullname || row.username) return row.fullname || row.username;
+    if (row.sender_id === SYSTEM_SENDER.id) return SYSTEM_SENDER.fullname;
+    // У интеграции нет строки в users — имя хранится в meta сообщения
+    const meta = row.meta ? JSON.parse(row.meta) : null;
+    return meta && meta.integration ? meta.integration.name : null;
+}
+
+// Цитата над ответом: автор и начало текста, а для вложений — их тип
+function messagePreview(message) {
+    if (message.deleted) {
+        return { id: message.id, senderId: null, senderName: null, text: 'Сообщение удалено', deleted: true };
+    }
+
+    let text = message.text || '';
+    if (message.kind === 'voice') {
+        text = '🎤 Голосовое сообщение';
+    } else if (!text && message.image) {
+        text = '📷 Фото';
+    } else if (!text && message.file) {
+        text = `📎 ${message.file_name || 'Файл'}`;
+    }
+    return {
+        id: message.id,
+        senderId: message.sender_id,
+        senderName: message.forward_sender_name || authorName(message),
+        text: text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH)}…` : text,
+        deleted: false
+    };
+}
+
+// Цитаты для страницы истории одним запросом; у удаленных остается заглушка
+async function attachReplyPreviews(rows) {
+    const ids = [...new Set(rows.map(row => row.reply_to).filter(Boolean))];
+    if (ids.length === 0) return rows;
+
+    const targets = await selectMessagesWithAuthors(ids);
+    const previews = new Map(targets.map(target => [target.id, messagePreview(target)]));
+    rows.forEach(row => {
+        if (row.reply_to) {
+            row.reply_preview = previews.get(row.reply_to) || messagePreview({ id: row.reply_to, deleted: true });
+        }
+    });
+    return rows;
+}
+
+// Реакции
+const REACTION_ACTIONS = ['add', 'remove', 'toggle'];
+const MAX_REACTION_LENGTH = 16;
+const MAX_ALLOWED_REACTIONS = 50;
+
+// Реакция — короткая строка без пробелов: эмодзи, в том числе составные и с модификаторами
+function isValidReaction(reaction) {
+    return typeof reaction === 'string' && reaction.length > 0 && reaction.length <= MAX_REACTION_LENGTH && !/\s/.test(reaction);
+}
+
+// Сводка по сообщениям: для каждого эмодзи число и кто поставил, в порядке появления
+async function getMessageReactions(messageIds) {
+    const reactions = new Map(messageIds.map(id => [id, []]));
+    if (messageIds.length === 0) return reactions;
+
+    const rows = await selectReactions(messageIds);
+    rows.forEach(row => {
+        const list = reactions.get(row.message_id);
+        let entry = list.find(item => item.reaction === row.reaction);
+        if (!entry) {
+            entry = { reaction: row.reaction, count: 0, users: [] };
+            list.push(entry);
+        }
+        entry.count++;
+        entry.users.push({ id: row.user_id, username: row.username, fullname: row.fullname });
+    });
+    return reactions;
+}
+
+async function attachReactions(rows) {
+    const reactions = await getMessageReactions(rows.map(row => row.id));
+    rows.forEach(row => {
+        row.reactions = reactions.get(row.id);
+    });
+    return rows;
+}
+
+async function assertReactionAllowed(chatId, reaction) {
+    if (!isValidReaction(reaction)) {
+        throw new AccessError('bad_request', 'Некорректная реакция');
+    }
+    const chat = await getChatSummary(chatId);
+    if (chat && chat.allowed_reactions && !JSON.parse(chat.allowed_reactions).includes(reaction)) {
+        throw new AccessError('forbidden', 'Эта реакция в чате не разрешена');
+    }
+}
+
+async function findReplyTarget(chatId, messageId) {
+    const target = await findRepliableMessage(chatId, messageId);
+    if (!target) {
+        throw new AccessError('not_found', 'Сообщение для ответа не найдено');
+    }
+    return target;
+}
+
+// У пересланного вложения своя запись в целевом чате (и в квоте переславшего), файл на диске общий
+async function copyAttachment(attachmentId, chatId, ownerId) {
+    const source = await findAttachment(attachmentId);
+    if (!source) return null;
+
+    const copy = { ...source, id: uuidv4(), owner_id: ownerId, chat_id: chatId, message_id: null, created_at: new Date().toISOString() };
+    if (!await insertAttachmentWithinQuota(copy, USER_STORAGE_QUOTA)) {
+        throw new AccessError('quota_exceeded', 'Превышена квота хранилища');
+    }
+    return copy;
+}
+
+// Пересылка сохраняет первоначального автора: пересланное повторно по-прежнему подписано им,
+// а посты каналов — названием канала
+async function forwardMessages(chatId, sender, messageIds) {
+    const ids = [...new Set(messageIds)];
+    if (ids.length > MAX_FORWARD_BATCH) {
+        throw new AccessError('bad_request', `За раз можно переслать не больше ${MAX_FORWARD_BATCH} сообщений`);
+    }
+
+    const sources = await selectForwardSources(ids);
+    if (sources.length !== ids.length) {
+        throw new AccessError('not_found', 'Некоторые сообщения не найдены');
+    }
+    for (const chatIdToCheck of new Set(sources.map(source => source.chat_id))) {
+        await assertChatMember(chatIdToCheck, sender.id);
+    }
+
+    for (const source of sources) {
+        const forwardFrom = source.forward_sender_name ? {
+            senderId: source.forward_sender_id,
+            senderName: source.forward_sender_name,
+            chatId: source.forward_chat_id
+        } : source.chat_type === 'channel' ? {
+            senderId: null,
+            senderName: source.chat_name,
+            chatId: source.chat_id
+        } : {
+            senderId: source.sender_id,
+            senderName: authorName(source),
+            chatId: null
+        };
+
+        await sendChatMessage({
+            chatId,
+            sender,
+            text: source.text,
+            attachment: source.attachment_id ? await copyAttachment(source.attachment_id, chatId, sender.id) : null,
+            kind: source.kind,
+            meta: source.meta ? JSON.parse(source.meta) : null,
+            forwardFrom
+        });
+    }
+}
+
+// Сообщение пользователя или бота: кадр message по сокету и sendMessage в Bot API.
+// replyTo — id сообщения этого чата, на которое отвечают; forwardIds — сообщения для пересылки
+// сюда (текст, если есть, уходит перед ними как комментарий)
+async function postUserMessage(sender, { chatId, text, replyTo, forwardIds }) {
+    await assertCanPost(chatId, sender.id);
+
+    if (Array.isArray(forwardIds) && forwardIds.length) {
+        if (text) await sendChatMessage({ chatId, sender, text });
+        await forwardMessages(chatId, sender, forwardIds);
+        return null;
+    }
+    if (!text) {
+        throw new AccessError('bad_request', 'Вложения отправляются через /api/upload');
+    }
+    const reply = replyTo ? await findReplyTarget(chatId, replyTo) : null;
+    return sendChatMessage({ chatId, sender, text, replyTo: reply });
+}
+
+// Правка текста: кадр edit по сокету и editMessage в Bot API. Прежний текст уходит
+// в message_revisions; событие получают все участники, включая автора, — так правка
+// видна и в других его сессиях
+async function editUserMessage(editor, { messageId, newText: text }) {
+    const newText = typeof text === 'string' ? text.trim() : '';
+    const { message: row } = await assertCanModifyMessage(messageId, editor.id);
+
+    if (row.kind === 'system') {
+        throw new AccessError('forbidden', 'Служебные сообщения не редактируются');
+    }
+    if (!newText) {
+        throw new AccessError('bad_request', 'Текст сообщения не может быть пустым');
+    }
+    if (!isWithinWindow(row, MESSAGE_EDIT_WINDOW)) {
+        throw new AccessError('forbidden', 'Время на редактирование сообщения истекло');
+    }
 
-// Хранилище активных соединений
-const clients = new Map(); // userId -> WebSocket
+    const edit = {
+        type: 'message_edited',
+        messageId: messageId,
+        chatId: row.chat_id,
+        editorId: editor.id,
+        newText: newText,
+        editedAt: row.edited_at
+    };
+    if (newText === row.text) return edit;
+
+    edit.editedAt = new Date().toISOString();
+    await updateMessageText(messageId, newText, editor.id, edit.editedAt);
+    await publishEvent(await getChatMemberIds(row.chat_id), edit);
+    return edit;
+}
+
+function postSystemMessage(chatId, text, meta, attachment = null) {
+    return sendChatMessage({ chatId, sender: SYSTEM_SENDER, text, attachment, kind: 'system', meta });
+}
 
 // WebSocket обработчик
 wss.on('connection', (ws, req) => {
     console.log('🔌 Новое WebSocket соединение');
     let currentUser = null;
 
-    ws.on('message', async (data) => {
+    // Соединения без авторизации долго не держим
+    const authTimer = setTimeout(() => {
+        if (!currentUser) ws.close(4001, 'Authentication timeout');
+    }, AUTH_TIMEOUT);
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    async function handleFrame(data) {
+        let message = {};
         try {
-            const message = JSON.parse(data);
+            message = JSON.parse(data);
             console.log('📨 Получено сообщение:', message.type);
 
+            if (!currentUser && message.type !== 'auth') {
+                ws.send(JSON.stringify({ type: 'auth_error', error: 'Требуется авторизация' }));
+                return;
+            }
+
             switch(message.type) {
                 case 'auth':
                     await handleAuth(ws, message);
@@ -173,12 +1292,21 @@ wss.on('connection', (ws, req) => {
                 case 'message':
                     await handleMessage(message);
                     break;
+                case 'file':
+                    await handleFile(message);
+                    break;
                 case 'typing':
-                    handleTyping(message);
+                    await handleTyping(message);
                     break;
                 case 'read':
                     await handleRead(message);
                     break;
+                case 'sync':
+                    await handleSync(message);
+                    break;
+                case 'view':
+                    await handleView(message);
+                    break;
                 case 'story':
                     await handleStory(message);
                     break;
@@ -194,915 +1322,2504 @@ wss.on('connection', (ws, req) => {
                 case 'call':
                     await handleCall(message);
                     break;
+                case 'group_call':
+                    await handleGroupCall(message);
+                    break;
                 default:
                     console.log('❓ Неизвестный тип сообщения:', message.type);
             }
         } catch (error) {
-            console.error('❌ Ошибка обработки сообщения:', error);
+            if (error instanceof AccessError) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: error.code,
+                    error: error.message,
+                    requestType: message.type,
+                    messageId: message.messageId,
+                    chatId: message.chatId
+                }));
+            } else {
+                console.error('❌ Ошибка обработки сообщения:', error);
+            }
         }
+    }
+
+    // Кадры одного соединения обрабатываются строго по очереди: иначе два действия подряд,
+    // например отправка и удаление, могли бы получить номера в журнале событий в обратном порядке
+    let frameQueue = Promise.resolve();
+    ws.on('message', (data) => {
+        ws.isAlive = true;
+        frameQueue = frameQueue.then(() => handleFrame(data));
     });
 
     ws.on('close', () => {
+        clearTimeout(authTimer);
         if (currentUser) {
-            console.log(`🔴 Пользователь отключился: ${currentUser.username}`);
-            clients.delete(currentUser.id);
-            
-            // Обновляем статус в БД
-            db.run('UPDATE users SET online = 0, last_seen = ? WHERE id = ?', 
-                [new Date().toISOString(), currentUser.id]);
-            
-            // Уведомляем всех
-            broadcast({
-                type: 'user_offline',
-                userId: currentUser.id,
-                username: currentUser.username,
-                fullname: currentUser.fullname,
-                last_seen: new Date()
-            });
+            const lastConnection = removeClient(currentUser.id, ws);
+            console.log(`🔴 Пользователь отключился: ${currentUser.username}${lastConnection ? '' : ' (другие устройства в сети)'}`);
+
+            // Звонок завершается, если закрылось устройство, с которого шел разговор,
+            // или если вызов еще не принят, а других устройств не осталось
+            const device = callDevices.get(currentUser.id);
+            const call = activeCalls.get(userCalls.get(currentUser.id));
+            if (call && (device === ws || (!device && lastConnection))) {
+                hangUpCall(call, currentUser.id)
+                    .catch(error => console.error('❌ Ошибка завершения звонка:', error));
+            }
+            if (userRooms.has(currentUser.id) && device === ws) {
+                leaveRoom(currentUser.id).catch(error => console.error('❌ Ошибка выхода из группового звонка:', error));
+            }
+            if (!lastConnection) return;
+
+            clearUserActivity(currentUser.id).catch(error => console.error('❌ Ошибка сброса индикатора:', error));
+
+            // Не в сети — только когда закрылось последнее устройство
+            setUserOnline(currentUser.id, false)
+                .then(() => broadcastPresence(currentUser.id))
+                .catch(error => console.error('❌ Ошибка рассылки статуса:', error));
         }
     });
 
     async function handleAuth(ws, message) {
-        const { userId, username, fullname, email } = message;
-        
-        // Сохраняем пользователя
-        db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
-            if (!user) {
-                db.run(`INSERT INTO users (id, username, fullname, email, online, last_seen) 
-                        VALUES (?, ?, ?, ?, 1, ?)`,
-                    [userId, username, fullname || username, email || '', new Date().toISOString()]);
-            } else {
-                db.run('UPDATE users SET online = 1, last_seen = ? WHERE id = ?', 
-                    [new Date().toISOString(), userId]);
-            }
-        });
-
-        currentUser = { id: userId, username, fullname: fullname || username, email };
-        clients.set(userId, ws);
-
-        // Получаем список всех пользователей
-        db.all('SELECT id, username, fullname, email, online, last_seen FROM users', (err, users) => {
+        const session = await verifySessionToken(message.token);
+        if (!session) {
             ws.send(JSON.stringify({
-                type: 'auth_success',
-                userId: userId,
-                users: users || []
+                type: 'auth_error',
+                error: 'Сессия недействительна, войдите заново'
             }));
-        });
-
-        // Уведомляем всех
-        broadcast({
-            type: 'user_online',
-            userId: userId,
-            username: username,
-            fullname: fullname || username
-        }, userId);
+            ws.close(4001, 'Unauthorized');
+            return;
+        }
 
-        console.log(`✅ Пользователь авторизован: ${username}`);
+        const { user } = session;
+        clearTimeout(authTimer);
+        currentUser = { ...user, fullname: user.fullname || user.username };
+        const firstConnection = addClient(user.id, ws);
+        console.log(`✅ Пользователь авторизован: ${currentUser.username}`);
+
+        // О входе узнают, только когда подключилось первое устройство
+        setUserOnline(user.id, true)
+            .then(() => firstConnection && broadcastPresence(user.id))
+            .catch(error => console.error('❌ Ошибка рассылки статуса:', error));
+
+        // Вместо всего справочника пользователей — только мои контакты.
+        // seq — номер последнего события в журнале, с него клиент начинает отсчет
+        const [contacts, seq] = await Promise.all([selectContacts(user.id).catch(() => []), getEventSeq(user.id)]);
+        ws.send(JSON.stringify({
+            type: 'auth_success',
+            userId: user.id,
+            user: publicUser(currentUser),
+            contacts: contacts,
+            seq: seq,
+            iceServers: getIceServers(),
+            messageEditWindow: MESSAGE_EDIT_WINDOW,
+            messageDeleteWindow: MESSAGE_DELETE_WINDOW
+        }));
+        sendMissedCalls(ws, user.id);
+        sendActiveGroupCalls(ws, user.id)
+            .catch(error => console.error('❌ Ошибка загрузки групповых звонков:', error));
     }
 
     async function handleMessage(message) {
-        const { chatId, text, receiverId, image, file, fileName, fileSize } = message;
-        const messageId = uuidv4();
-        const time = new Date();
-
-        // Сохраняем сообщение
-        db.run(`INSERT INTO messages (id, chat_id, sender_id, text, image, file, file_name, file_size, time) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [messageId, chatId, currentUser.id, text, image, file, fileName, fileSize, time.toISOString()]);
-
-        // Получаем информацию об отправителе
-        db.get('SELECT username, fullname FROM users WHERE id = ?', [currentUser.id], (err, sender) => {
-            const messageData = {
-                type: 'new_message',
-                id: messageId,
-                chatId: chatId,
-                senderId: currentUser.id,
-                senderName: currentUser.username,
-                senderFullname: sender?.fullname || currentUser.username,
-                text: text,
-                image: image,
-                file: file,
-                fileName: fileName,
-                fileSize: fileSize,
-                time: time,
-                read: false
-            };
-
-            // Отправляем всем участникам чата
-            db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [chatId], (err, members) => {
-                members?.forEach(member => {
-                    if (clients.has(member.user_id) && member.user_id !== currentUser.id) {
-                        clients.get(member.user_id).send(JSON.stringify(messageData));
-                    }
-                });
-            });
+        await postUserMessage(currentUser, message);
+    }
 
-            // Отправляем подтверждение отправителю
-            if (clients.has(currentUser.id)) {
-                clients.get(currentUser.id).send(JSON.stringify({
-                    ...messageData,
-                    type: 'message_sent'
-                }));
+    // Файл уже загружен через POST /api/upload, здесь приходит только id вложения.
+    // voice: true — голосовое сообщение: длительность и волна сохраняются в meta
+    async function handleFile(message) {
+        const { chatId, attachmentId, caption, voice, replyTo } = message;
+        await assertCanPost(chatId, currentUser.id);
+
+        const attachment = await findUnsentAttachment(attachmentId, currentUser.id, chatId);
+        if (!attachment) {
+            throw new AccessError('not_found', 'Файл не найден, загрузите его заново');
+        }
+        const reply = replyTo ? await findReplyTarget(chatId, replyTo) : null;
+
+        if (voice) {
+            if (!VOICE_MIME_TYPES.has(attachment.mime)) {
+                throw new AccessError('bad_request', 'Голосовое сообщение должно быть аудиозаписью');
             }
-        });
+            const meta = await describeVoice(attachment);
+            await sendChatMessage({ chatId, sender: currentUser, text: null, attachment, kind: 'voice', meta, replyTo: reply });
+            return;
+        }
+        await sendChatMessage({ chatId, sender: currentUser, text: caption || null, attachment, replyTo: reply });
     }
 
-    function handleTyping(message) {
-        const { chatId, receiverId, isTyping } = message;
-        
-        if (receiverId && clients.has(receiverId)) {
-            clients.get(receiverId).send(JSON.stringify({
-                type: 'typing',
-                chatId: chatId,
-                userId: currentUser.id,
-                username: currentUser.username,
-                isTyping: isTyping
-            }));
+    // action: typing, recording, uploading или stop; isTyping — прежний формат кадра
+    async function handleTyping(message) {
+        const { chatId } = message;
+        const action = message.action || (message.isTyping ? 'typing' : 'stop');
+        if (action !== 'stop' && !CHAT_ACTIONS.includes(action)) return;
+
+        // Индикатор эфемерный: чужие и закрытые для записи чаты просто игнорируем, без кадра ошибки
+        try {
+            await assertCanPost(chatId, currentUser.id);
+        } catch (error) {
+            if (error instanceof AccessError) return;
+            throw error;
+        }
+
+        if (action === 'stop') {
+            await clearActivity(chatId, currentUser);
+        } else {
+            await setActivity(chatId, currentUser, action);
+        }
+    }
+
+    // Догоняющая синхронизация: события журнала после lastSeq пачками по SYNC_BATCH_SIZE.
+    // Если нужные записи уже вычищены, отвечаем reset — клиент перезагружает данные целиком
+    async function handleSync(message) {
+        const lastSeq = Math.max(parseInt(message.lastSeq, 10) || 0, 0);
+        const [currentSeq, oldestSeq] = await Promise.all([
+            getEventSeq(currentUser.id),
+            getOldestEventSeq(currentUser.id)
+        ]);
+
+        const lost = lastSeq > currentSeq ||
+            (lastSeq < currentSeq && (!oldestSeq || oldestSeq > lastSeq + 1));
+        if (lost) {
+            ws.send(JSON.stringify({ type: 'sync_result', reset: true, events: [], lastSeq: currentSeq, hasMore: false }));
+            return;
+        }
+
+        const rows = await selectEventsAfter(currentUser.id, lastSeq, SYNC_BATCH_SIZE);
+        const events = rows.map(row => ({ ...JSON.parse(row.payload), seq: row.seq }));
+
+        ws.send(JSON.stringify({
+            type: 'sync_result',
+            reset: false,
+            events,
+            lastSeq: events.length ? events[events.length - 1].seq : lastSeq,
+            hasMore: rows.length === SYNC_BATCH_SIZE
+        }));
+    }
+
+    // Клиент сообщает, какие посты канала показал на экране; в ответ — актуальные счетчики
+    async function handleView(message) {
+        const { chatId } = message;
+        const messageIds = Array.isArray(message.messageIds) ? message.messageIds.slice(0, MAX_VIEW_BATCH) : [];
+        await assertChatMember(chatId, currentUser.id);
+
+        const chat = await getChatSummary(chatId);
+        if (chat.type !== 'channel' || messageIds.length === 0) return;
+
+        for (const messageId of messageIds) {
+            await recordMessageView(chatId, messageId, currentUser.id);
         }
+
+        const rows = await selectMessageViews(chatId, messageIds);
+        ws.send(JSON.stringify({
+            type: 'views_updated',
+            chatId,
+            views: Object.fromEntries(rows.map(row => [row.id, row.views]))
+        }));
     }
 
+    // «Прочитано до сообщения messageId»: одним кадром подтверждается вся история до него
     async function handleRead(message) {
         const { messageId } = message;
-        
-        db.run('UPDATE messages SET read = 1 WHERE id = ?', [messageId]);
-        
-        db.get('SELECT sender_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row && clients.has(row.sender_id)) {
-                clients.get(row.sender_id).send(JSON.stringify({
-                    type: 'message_read',
-                    messageId: messageId,
-                    readerId: currentUser.id
-                }));
-            }
-        });
+        const { message: row, membership } = await assertMessageAccess(messageId, currentUser.id);
+        await markReadUpTo(membership, row);
     }
 
+    // Медиа загружается заранее через /api/upload с purpose=story, здесь приходит id вложения
     async function handleStory(message) {
-        const { content, type } = message;
+        const content = typeof message.content === 'string' ? message.content.trim() : '';
+        const audience = message.audience || 'everyone';
+        const hideFrom = Array.isArray(message.hideFrom) ? [...new Set(message.hideFrom.map(String))] : [];
+
+        if (!STORY_AUDIENCES.includes(audience)) {
+            throw new AccessError('bad_request', 'Неизвестная аудитория истории');
+        }
+        if (content.length > MAX_STORY_TEXT_LENGTH) {
+            throw new AccessError('bad_request', `Текст истории — не больше ${MAX_STORY_TEXT_LENGTH} символов`);
+        }
+
+        let attachment = null;
+        if (message.attachmentId) {
+            attachment = await findUnusedStoryMedia(message.attachmentId, currentUser.id);
+            if (!attachment) {
+                throw new AccessError('not_found', 'Файл не найден, загрузите его заново');
+            }
+            if (!attachment.mime.startsWith('image/') && !attachment.mime.startsWith('video/')) {
+                throw new AccessError('bad_request', 'В историю можно добавить фото или видео');
+            }
+        } else if (!content) {
+            throw new AccessError('bad_request', 'История не может быть пустой');
+        }
+
         const storyId = uuidv4();
         const now = new Date();
-        const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-
-        db.run(`INSERT INTO stories (id, user_id, content, type, created_at, expires_at) 
-                VALUES (?, ?, ?, ?, ?, ?)`,
-            [storyId, currentUser.id, content, type || 'text', now.toISOString(), expiresAt.toISOString()]);
-
-        // Получаем информацию о пользователе
-        db.get('SELECT username, fullname FROM users WHERE id = ?', [currentUser.id], (err, user) => {
-            broadcast({
-                type: 'new_story',
-                id: storyId,
-                userId: currentUser.id,
-                username: user?.username || currentUser.username,
-                fullname: user?.fullname || currentUser.fullname,
-                content: content,
-                type: type || 'text',
-                time: now
-            });
-        });
+        await insertStory({
+            id: storyId,
+            userId: currentUser.id,
+            content: content || null,
+            type: attachment ? attachment.mime.split('/')[0] : 'text',
+            attachmentId: attachment ? attachment.id : null,
+            audience,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + STORY_TTL).toISOString()
+        }, hideFrom);
+
+        // Новую историю сразу получают только те из онлайн, кому она видна
+        for (const userId of clients.keys()) {
+            const [story] = await selectVisibleStories(userId, storyId);
+            if (story) sendToUser(userId, { type: 'new_story', story: formatStory(story) });
+        }
     }
 
+    // action: add, remove или toggle (по умолчанию). Всем участникам чата уходит новая
+    // сводка по сообщению целиком, так клиенту не нужно самому пересчитывать счетчики
     async function handleReaction(message) {
         const { messageId, reaction } = message;
+        const action = message.action || 'toggle';
+        if (!REACTION_ACTIONS.includes(action)) {
+            throw new AccessError('bad_request', 'Неизвестное действие с реакцией');
+        }
+        const { message: row } = await assertMessageAccess(messageId, currentUser.id);
+
+        let added;
+        if (action === 'remove') {
+            added = false;
+        } else if (action === 'add') {
+            added = true;
+        } else {
+            added = !await hasReaction(messageId, currentUser.id, reaction);
+        }
 
-        db.run(`INSERT OR REPLACE INTO reactions (message_id, user_id, reaction) 
-                VALUES (?, ?, ?)`,
-            [messageId, currentUser.id, reaction]);
+        if (added) {
+            // Список разрешенных проверяем только при добавлении: снять старую реакцию можно всегда
+            await assertReactionAllowed(row.chat_id, reaction);
+            await addReaction(messageId, currentUser.id, reaction);
+        } else {
+            const result = await removeReaction(messageId, currentUser.id, reaction);
+            if (result.changes === 0) return;
+        }
 
-        db.get('SELECT sender_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row && clients.has(row.sender_id)) {
-                clients.get(row.sender_id).send(JSON.stringify({
-                    type: 'new_reaction',
-                    messageId: messageId,
-                    userId: currentUser.id,
-                    username: currentUser.username,
-                    reaction: reaction
-                }));
-            }
+        const reactions = await getMessageReactions([messageId]);
+        await publishEvent(await getChatMemberIds(row.chat_id), {
+            type: 'reactions_updated',
+            messageId: messageId,
+            chatId: row.chat_id,
+            userId: currentUser.id,
+            reaction: reaction,
+            added: added,
+            reactions: reactions.get(messageId)
         });
     }
 
     async function handleEdit(message) {
-        const { messageId, newText } = message;
-
-        db.run('UPDATE messages SET text = ?, edited = 1 WHERE id = ?', [newText, messageId]);
-
-        db.get('SELECT sender_id, chat_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row) {
-                // Уведомляем участников чата
-                db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [row.chat_id], (err, members) => {
-                    members?.forEach(member => {
-                        if (clients.has(member.user_id) && member.user_id !== currentUser.id) {
-                            clients.get(member.user_id).send(JSON.stringify({
-                                type: 'message_edited',
-                                messageId: messageId,
-                                newText: newText
-                            }));
-                        }
-                    });
-                });
-            }
-        });
+        await editUserMessage(currentUser, message);
     }
 
+    // forEveryone: true — удалить у всех (автор в пределах окна или администратор),
+    // иначе сообщение скрывается только у меня и только в моих сессиях
     async function handleDelete(message) {
-        const { messageId } = message;
+        const { messageId, forEveryone } = message;
+
+        if (!forEveryone) {
+            const { message: row } = await assertMessageAccess(messageId, currentUser.id);
+            await hideMessage(messageId, currentUser.id);
+            await publishEvent([currentUser.id], {
+                type: 'message_deleted',
+                messageId: messageId,
+                chatId: row.chat_id,
+                forEveryone: false
+            });
+            return;
+        }
 
-        db.run('UPDATE messages SET deleted = 1 WHERE id = ?', [messageId]);
-
-        db.get('SELECT sender_id, chat_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row) {
-                db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [row.chat_id], (err, members) => {
-                    members?.forEach(member => {
-                        if (clients.has(member.user_id)) {
-                            clients.get(member.user_id).send(JSON.stringify({
-                                type: 'message_deleted',
-                                messageId: messageId
-                            }));
-                        }
-                    });
-                });
-            }
+        const { message: row, membership } = await assertCanModifyMessage(messageId, currentUser.id);
+        if (!isChatAdmin(membership) && !isWithinWindow(row, MESSAGE_DELETE_WINDOW)) {
+            throw new AccessError('forbidden', 'Время на удаление у всех истекло, удалите сообщение у себя');
+        }
+
+        await deleteMessageForEveryone(messageId);
+        const attachment = row.attachment_id ? await findAttachment(row.attachment_id) : null;
+        if (attachment) {
+            await removeAttachment(attachment);
+        }
+
+        await publishEvent(await getChatMemberIds(row.chat_id), {
+            type: 'message_deleted',
+            messageId: messageId,
+            chatId: row.chat_id,
+            forEveryone: true
         });
     }
 
     async function handleCall(message) {
-        const { receiverId, callType, type, callId, answer, candidate } = message;
-
-        switch(type) {
-            case 'offer':
-                const newCallId = uuidv4();
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_offer',
-                        callId: newCallId,
-                        callerId: currentUser.id,
-                        callerName: currentUser.username,
-                        callerFullname: currentUser.fullname,
-                        callType: callType
-                    }));
-                    
-                    db.run(`INSERT INTO calls (id, caller_id, receiver_id, type, status, start_time) 
-                            VALUES (?, ?, ?, ?, ?, ?)`,
-                        [newCallId, currentUser.id, receiverId, callType, 'started', new Date().toISOString()]);
-                }
-                break;
+        const { action, callId, receiverId, callType, sdp, candidate } = message;
+
+        if (action === 'offer') {
+            await startCall(receiverId, callType, sdp);
+            return;
+        }
 
+        const call = assertCallParticipant(callId, currentUser.id);
+        switch (action) {
             case 'answer':
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_answer',
-                        callId: callId,
-                        answer: answer
-                    }));
+                if (call.receiverId !== currentUser.id || call.status !== 'ringing') {
+                    throw new AccessError('conflict', 'Звонок уже не ожидает ответа');
                 }
+                if (!sdp) {
+                    throw new AccessError('bad_request', 'Нет описания сеанса');
+                }
+                clearTimeout(call.ringTimer);
+                call.status = 'accepted';
+                call.answerTime = new Date();
+                callDevices.set(currentUser.id, ws);
+                await markCallAnswered(call.id, call.answerTime.toISOString());
+                sendToCallDevice(call.callerId, { type: 'call_answer', callId: call.id, sdp });
+                // На остальных устройствах вызываемого звонок перестает звонить
+                sendToUser(currentUser.id, { type: 'call_ended', callId: call.id, status: 'answered_elsewhere', duration: 0 }, ws);
                 break;
 
             case 'candidate':
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
+                if (candidate) {
+                    sendToCallDevice(callPeerId(call, currentUser.id), {
                         type: 'call_candidate',
-                        callId: callId,
-                        candidate: candidate
-                    }));
+                        callId: call.id,
+                        candidate
+                    });
                 }
                 break;
 
+            case 'reject':
             case 'end':
-                const endTime = new Date();
-                db.run(`UPDATE calls SET status = ?, end_time = ? WHERE id = ?`, 
-                    ['ended', endTime.toISOString(), callId]);
-                
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_ended',
-                        callId: callId
-                    }));
-                }
+                await hangUpCall(call, currentUser.id);
                 break;
+
+            default:
+                throw new AccessError('bad_request', 'Неизвестное действие звонка');
         }
     }
 
-    function broadcast(data, excludeUserId = null) {
-        clients.forEach((client, userId) => {
-            if (userId !== excludeUserId && client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(data));
-            }
+    async function startCall(receiverId, callType, sdp) {
+        if (!CALL_TYPES.includes(callType)) {
+            throw new AccessError('bad_request', 'Неизвестный тип звонка');
+        }
+        if (!sdp) {
+            throw new AccessError('bad_request', 'Нет описания сеанса');
+        }
+        if (receiverId === currentUser.id) {
+            throw new AccessError('bad_request', 'Нельзя позвонить самому себе');
+        }
+        if (isInCall(currentUser.id)) {
+            throw new AccessError('conflict', 'Сначала завершите текущий звонок');
+        }
+        const receiver = await findUser(receiverId);
+        if (!receiver) {
+            throw new AccessError('not_found', 'Пользователь не найден');
+        }
+        await assertNotBlocked(currentUser.id, receiverId);
+
+        const call = {
+            id: uuidv4(),
+            callerId: currentUser.id,
+            receiverId,
+            type: callType,
+            status: 'ringing',
+            answerTime: null,
+            ringTimer: null
+        };
+        await insertCall({
+            id: call.id,
+            callerId: call.callerId,
+            receiverId,
+            type: callType,
+            status: 'ringing',
+            startTime: new Date().toISOString()
         });
-    }
-});
+        activeCalls.set(call.id, call);
+        userCalls.set(currentUser.id, call.id);
+        callDevices.set(currentUser.id, ws);
 
-// REST API эндпоинты
-app.get('/api/users', (req, res) => {
-    db.all('SELECT id, username, fullname, email, online, last_seen FROM users', (err, users) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(users);
-        }
-    });
-});
+        // Звонивший узнает id звонка, чтобы пересылать ICE-кандидаты
+        sendToCallDevice(currentUser.id, { type: 'call_state', callId: call.id, status: 'ringing', receiverId });
 
-app.get('/api/chats/:userId', (req, res) => {
-    const { userId } = req.params;
-    
-    db.all(`SELECT c.*, 
-            (SELECT m.text FROM messages m WHERE m.chat_id = c.id ORDER BY m.time DESC LIMIT 1) as last_message,
-            (SELECT m.time FROM messages m WHERE m.chat_id = c.id ORDER BY m.time DESC LIMIT 1) as last_message_time
-            FROM chats c
-            LEFT JOIN chat_members cm ON c.id = cm.chat_id
-            WHERE c.id = 'general' OR cm.user_id = ?
-            GROUP BY c.id
-            ORDER BY last_message_time DESC`, [userId], (err, chats) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(chats || []);
+        if (!clients.has(receiverId)) {
+            await finishCall(call, 'missed');
+            return;
         }
-    });
-});
-
-app.get('/api/messages/:chatId', (req, res) => {
-    const { chatId } = req.params;
-    
-    db.all(`SELECT m.*, u.username, u.fullname 
-            FROM messages m 
-            LEFT JOIN users u ON m.sender_id = u.id 
-            WHERE m.chat_id = ? AND m.deleted = 0
-            ORDER BY m.time ASC`, [chatId], (err, messages) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(messages || []);
+        if (isInCall(receiverId)) {
+            await finishCall(call, 'busy');
+            return;
         }
-    });
-});
 
-app.post('/api/chats/create', (req, res) => {
-    const { type, name, members } = req.body;
-    const chatId = uuidv4();
-    const now = new Date();
+        userCalls.set(receiverId, call.id);
+        call.ringTimer = setTimeout(() => {
+            finishCall(call, 'missed').catch(error => console.error('❌ Ошибка завершения звонка:', error));
+        }, CALL_RING_TIMEOUT);
+
+        sendToUser(receiverId, {
+            type: 'call_offer',
+            callId: call.id,
+            callerId: currentUser.id,
+            callerName: currentUser.username,
+            callerFullname: currentUser.fullname,
+            callType,
+            sdp
+        });
+    }
 
-    db.run('INSERT INTO chats (id, name, type, created_at) VALUES (?, ?, ?, ?)',
-        [chatId, name || null, type || 'private', now.toISOString()], function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            // Добавляем участников
-            const stmt = db.prepare('INSERT INTO chat_members (chat_id, user_id, joined_at) VALUES (?, ?, ?)');
-            members.forEach(memberId => {
-                stmt.run(chatId, memberId, now.toISOString());
-            });
-            stmt.finalize();
+    async function handleGroupCall(message) {
+        const { action, chatId } = message;
 
-            res.json({ success: true, chatId: chatId });
+        if (action === 'join') {
+            await joinRoom(message);
+            return;
         }
-    });
-});
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
-    if (req.file) {
-        const fileUrl = `/uploads/${req.file.filename}`;
-        res.json({
-            success: true,
-            filename: req.file.filename,
-            path: fileUrl,
-            size: req.file.        chat_id TEXT,
-        sender_id TEXT,
-        text TEXT,
-        image TEXT,
-        file TEXT,
-        file_name TEXT,
-        file_size INTEGER,
-        time DATETIME,
-        read BOOLEAN DEFAULT 0,
-        edited BOOLEAN DEFAULT 0,
-        deleted BOOLEAN DEFAULT 0
-    )`);
-
-    // Чаты
-    db.run(`CREATE TABLE IF NOT EXISTS chats (
-        id TEXT PRIMARY KEY,
-        name TEXT,
-        type TEXT DEFAULT 'private',
-        avatar TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Участники чатов
-    db.run(`CREATE TABLE IF NOT EXISTS chat_members (
-        chat_id TEXT,
-        user_id TEXT,
-        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (chat_id, user_id)
-    )`);
-
-    // Stories
-    db.run(`CREATE TABLE IF NOT EXISTS stories (
-        id TEXT PRIMARY KEY,
-        user_id TEXT,
-        content TEXT,
-        type TEXT DEFAULT 'text',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME
-    )`);
-
-    // Реакции
-    db.run(`CREATE TABLE IF NOT EXISTS reactions (
-        message_id TEXT,
-        user_id TEXT,
-        reaction TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (message_id, user_id, reaction)
-    )`);
-
-    // Контакты
-    db.run(`CREATE TABLE IF NOT EXISTS contacts (
-        user_id TEXT,
-        contact_id TEXT,
-        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (user_id, contact_id)
-    )`);
-
-    // Звонки
-    db.run(`CREATE TABLE IF NOT EXISTS calls (
-        id TEXT PRIMARY KEY,
-        caller_id TEXT,
-        receiver_id TEXT,
-        type TEXT,
-        status TEXT,
-        start_time DATETIME,
-        end_time DATETIME,
-        duration INTEGER
-    )`);
-
-    // Создаем общего чата если его нет
-    db.get("SELECT id FROM chats WHERE id = 'general'", (err, row) => {
-        if (!row) {
-            db.run("INSERT INTO chats (id, name, type) VALUES ('general', '🔥 Общий чат', 'group')");
-            
-            // Добавляем тестовые сообщения
-            const testMessages = [
-                { id: uuidv4(), text: 'Добро пожаловать в FireMess! 🔥', time: new Date(Date.now() - 86400000) },
-                { id: uuidv4(), text: 'Здесь собраны лучшие функции Telegram и Instagram', time: new Date(Date.now() - 82800000) },
-                { id: uuidv4(), text: 'Отправляйте сообщения, фото, стикеры', time: new Date(Date.now() - 79200000) },
-                { id: uuidv4(), text: 'Добавляйте stories и реагируйте на сообщения', time: new Date(Date.now() - 75600000) }
-            ];
-            
-            testMessages.forEach(msg => {
-                db.run(`INSERT INTO messages (id, chat_id, sender_id, text, time) VALUES (?, 'general', 'system', ?, ?)`,
-                    [msg.id, msg.text, msg.time.toISOString()]);
-            });
+        const room = callRooms.get(chatId);
+        if (!room || !room.participants.has(currentUser.id)) {
+            throw new AccessError('not_found', 'Вы не участвуете в звонке этого чата');
         }
-    });
+
+        switch (action) {
+            case 'signal': {
+                // Сигналы участнику, который уже вышел, просто отбрасываем
+                const { targetId, sdp, candidate } = message;
+                if (room.participants.has(targetId) && (sdp || candidate)) {
+                    sendToCallDevice(targetId, { type: 'group_call_signal', chatId, fromId: currentUser.id, sdp, candidate });
+                }
+                break;
+            }
+
+            case 'media': {
+                const state = room.participants.get(currentUser.id);
+                state.audio = Boolean(message.audio);
+                state.video = room.type === 'video' && Boolean(message.video);
+                sendToRoom(room, {
+                    type: 'group_call_media',
+                    chatId,
+                    userId: currentUser.id,
+                    audio: state.audio,
+                    video: state.video
+                }, currentUser.id);
+                break;
+            }
+
+            case 'leave':
+                await leaveRoom(currentUser.id, chatId);
+                break;
+
+            default:
+                throw new AccessError('bad_request', 'Неизвестное действие звонка');
+        }
+    }
+
+    async function joinRoom({ chatId, callType, audio = true, video = true }) {
+        await assertChatMember(chatId, currentUser.id);
+        const chat = await getChatSummary(chatId);
+        if (chat.type !== 'group') {
+            throw new AccessError('bad_request', 'Групповые звонки доступны только в группах');
+        }
+        if (isInCall(currentUser.id)) {
+            throw new AccessError('conflict', 'Сначала завершите текущий звонок');
+        }
+
+        let room = callRooms.get(chatId);
+        if (room && room.participants.size >= MAX_GROUP_CALL_PARTICIPANTS) {
+            throw new AccessError('conflict', 'В звонке нет свободных мест');
+        }
+        const created = !room;
+        if (created) {
+            if (!CALL_TYPES.includes(callType)) {
+                throw new AccessError('bad_request', 'Неизвестный тип звонка');
+            }
+            room = { id: uuidv4(), chatId, type: callType, startTime: new Date(), participants: new Map() };
+            callRooms.set(chatId, room);
+        }
+
+        const existing = roomParticipants(room);
+        const state = {
+            name: currentUser.fullname,
+            audio: Boolean(audio),
+            video: room.type === 'video' && Boolean(video)
+        };
+        room.participants.set(currentUser.id, state);
+        userRooms.set(currentUser.id, chatId);
+        callDevices.set(currentUser.id, ws);
+
+        ws.send(JSON.stringify({
+            type: 'group_call_joined',
+            chatId,
+            callId: room.id,
+            callType: room.type,
+            participants: existing
+        }));
+        sendToRoom(room, { type: 'group_call_participant_joined', chatId, userId: currentUser.id, ...state }, currentUser.id);
+
+        if (created) {
+            const startTime = room.startTime.toISOString();
+            await insertCall({
+                id: room.id,
+                callerId: currentUser.id,
+                chatId,
+                type: room.type,
+                status: 'accepted',
+                startTime,
+                answerTime: startTime
+            });
+            await postSystemMessage(chatId,
+                `${room.type === 'video' ? '📹' : '📞'} ${displayName(currentUser)} начал(а) групповой звонок`,
+                { action: 'group_call_started', callId: room.id, callType: room.type, actorId: currentUser.id });
+        }
+        await announceRoom(chatId);
+    }
+
 });
 
-const app = express();
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Проверка токена для REST: Authorization: Bearer <token>. В адресе токен не принимается:
+// оттуда он попадает в историю браузера, логи и скопированные ссылки
+function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+    verifySessionToken(token).then(session => {
+        if (!session) {
+            res.status(401).json({ error: 'Требуется авторизация' });
+        } else {
+            req.user = session.user;
+            req.sessionId = session.sessionId;
+            next();
+        }
+    }).catch(error => sendError(res, error));
+}
+
+// Авторизация
+app.post('/api/auth/register', async (req, res) => {
+    const { password, fullname, email } = req.body;
+    const username = (req.body.username || '').trim();
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ error: 'Имя пользователя: 2–30 символов, латиница, цифры, _ и .' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Пароль должен содержать минимум ${MIN_PASSWORD_LENGTH} символов` });
+    }
+
+    try {
+        // Имя занято и аккаунтом из старой версии без пароля: такой аккаунт регистрацией
+        // не присваивается, иначе его чаты достались бы первому, кто назовется тем же именем
+        if (await findUserByUsername(username)) {
+            throw new AccessError('conflict', 'Имя пользователя уже занято');
+        }
+
+        const user = {
+            id: uuidv4(),
+            username: username,
+            fullname: fullname || username,
+            email: email || '',
+            createdAt: new Date().toISOString()
+        };
+        const saved = await saveRegisteredUser(user, await hashPassword(password));
+        if (!saved) {
+            throw new AccessError('conflict', 'Имя пользователя уже занято');
+        }
+
+        res.json({ success: true, token: await createSession(user.id), user: publicUser(user) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    const { password } = req.body;
+    const username = (req.body.username || '').trim();
+
+    try {
+        const user = await findUserByUsername(username);
+        const valid = user && user.password_hash && typeof password === 'string' &&
+            await verifyPassword(password, user.password_hash);
+        if (!valid) {
+            throw new AccessError('unauthorized', 'Неверное имя пользователя или пароль');
+        }
+
+        res.json({ success: true, token: await createSession(user.id), user: publicUser(user) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json(publicUser(req.user));
+});
+
+// Контакты и черный список. Справочник пользователей целиком клиенту не отдается:
+// собеседника находят поиском по имени пользователя и добавляют в контакты
+const USER_SEARCH_LIMIT = 20;
+
+// Карточка пользователя глазами viewerId: статус с учетом настроек приватности и блокировок,
+// почта в карточку не попадает
+function formatUserCard(row, viewerId) {
+    return {
+        ...describePresence(row, viewerId),
+        is_contact: Boolean(row.is_contact),
+        is_blocked: Boolean(row.is_blocked)
+    };
+}
+
+function formatUserCards(rows, viewerId) {
+    return rows.map(row => formatUserCard(row, viewerId));
+}
+
+async function selectContacts(userId) {
+    return formatUserCards(await selectContactCards(userId), userId);
+}
+
+async function findOtherUser(userId, targetId) {
+    if (targetId === userId) {
+        throw new AccessError('bad_request', 'Это вы');
+    }
+    const user = targetId ? await findUser(targetId) : null;
+    if (!user) {
+        throw new AccessError('not_found', 'Пользователь не найден');
+    }
+    return user;
+}
+
+app.get('/api/users/search', requireAuth, async (req, res) => {
+    const query = String(req.query.q || '').trim().replace(/^@/, '');
+    if (!query) {
+        return res.status(400).json({ error: 'Введите имя пользователя', code: 'bad_request' });
+    }
+
+    try {
+        const users = await searchUserCards(req.user.id, query, USER_SEARCH_LIMIT);
+        res.json(formatUserCards(users, req.user.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/contacts', requireAuth, async (req, res) => {
+    try {
+        res.json(await selectContacts(req.user.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/contacts', requireAuth, async (req, res) => {
+    try {
+        const user = await findOtherUser(req.user.id, req.body.userId);
+        await addContact(req.user.id, user.id);
+        const contact = formatUserCard(await selectUserCard(req.user.id, user.id), req.user.id);
+        // При настройке «только контакты» новый контакт теперь видит наш статус
+        await sendPresence(req.user.id, [user.id]);
+        res.json(contact);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/contacts/:userId', requireAuth, async (req, res) => {
+    try {
+        await removeContact(req.user.id, req.params.userId);
+        await sendPresence(req.user.id, [req.params.userId]);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/blocked', requireAuth, async (req, res) => {
+    try {
+        res.json(formatUserCards(await selectBlockedCards(req.user.id), req.user.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Заблокированный сразу видит нас давно не заходившими; после разблокировки — снова как есть
+app.post('/api/blocked', requireAuth, async (req, res) => {
+    try {
+        const user = await findOtherUser(req.user.id, req.body.userId);
+        const result = await blockUser(req.user.id, user.id);
+        if (result.changes) {
+            await sendPresence(req.user.id, [user.id]);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/blocked/:userId', requireAuth, async (req, res) => {
+    try {
+        const result = await unblockUser(req.user.id, req.params.userId);
+        if (result.changes) {
+            await sendPresence(req.user.id, [req.params.userId]);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/settings/privacy', requireAuth, async (req, res) => {
+    try {
+        res.json({ lastSeen: await getLastSeenPrivacy(req.user.id) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// После смены настройки каждый подключенный сразу получает статус в новом виде
+app.put('/api/settings/privacy', requireAuth, async (req, res) => {
+    const { lastSeen } = req.body;
+
+    try {
+        if (!PRESENCE_PRIVACY.includes(lastSeen)) {
+            throw new AccessError('bad_request', 'Допустимые значения: everyone, contacts, nobody');
+        }
+        await setLastSeenPrivacy(req.user.id, lastSeen);
+        await sendPresence(req.user.id, [...clients.keys()].filter(id => id !== req.user.id));
+        res.json({ lastSeen });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Чаты пользователя с последним сообщением и счетчиком непрочитанных, свежие сверху;
+// chatId — только этот чат
+async function listUserChats(userId, chatId = null) {
+    return attachDirectPeers(userId, await selectUserChats(userId, chatId));
+}
+
+// Своего имени и аватара у личного чата нет: берем их у собеседника, вместе со статусом
+async function attachDirectPeers(viewerId, chats) {
+    const ids = chats.filter(chat => chat.type === 'private').map(chat => chat.id);
+    if (!ids.length) return chats;
+
+    const peers = await selectDirectPeers(viewerId, ids);
+    const byChat = new Map(peers.map(({ chat_id, ...peer }) => [chat_id, describePresence(peer, viewerId)]));
+
+    return chats.map(chat => {
+        const peer = byChat.get(chat.id);
+        return peer ? { ...chat, name: peer.fullname || peer.username, avatar: peer.avatar, peer } : chat;
+    });
+}
+
+// Пользователь берется из сессии; :userId оставлен для совместимости
+app.get(['/api/chats', '/api/chats/:userId'], requireAuth, async (req, res) => {
+    if (req.params.userId && req.params.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Нет доступа к чужим чатам', code: 'forbidden' });
+    }
+
+    try {
+        res.json(await listUserChats(req.user.id));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Личный чат с пользователем: существующий или новый
+app.post('/api/chats/direct', requireAuth, async (req, res) => {
+    try {
+        const peer = await findOtherUser(req.user.id, req.body.userId);
+        const chatId = await getOrCreatePrivateChat(req.user.id, peer.id);
+        const [chat] = await listUserChats(req.user.id, chatId);
+        res.json(chat);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// История сообщений страницами: ?before=<id>, ?after=<id> или ?around=<id>, плюс ?limit=
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// replyTo ограничивает страницу ответами на одно сообщение — так строится ветка обсуждения
+function fetchMessagePage(chatId, userId, cursor, direction, limit, { replyTo = null } = {}) {
+    const older = direction === 'before';
+    return selectMessagePage(chatId, userId, { cursor, direction, limit, replyTo })
+        .then(attachReplyPreviews).then(attachReactions).then(rows => {
+            const messages = rows.slice(0, limit);
+            return { messages: older ? messages.reverse() : messages, hasMore: rows.length > limit };
+        });
+}
+
+app.get('/api/messages/:chatId', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+    const { before, after, around } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+
+    try {
+        await assertChatMember(chatId, req.user.id);
+
+        let cursor = null;
+        const cursorId = around || before || after;
+        if (cursorId) {
+            cursor = await findMessageCursor(chatId, cursorId);
+            if (!cursor) {
+                throw new AccessError('not_found', 'Сообщение не найдено');
+            }
+        }
+
+        if (around) {
+            // Сообщение-цель попадает во вторую половину страницы
+            const half = Math.floor(limit / 2);
+            const [older, newer] = await Promise.all([
+                fetchMessagePage(chatId, req.user.id, cursor, 'before', half),
+                fetchMessagePage(chatId, req.user.id, cursor, 'from', limit - half)
+            ]);
+            await markDelivered(req.user.id, [...older.messages, ...newer.messages]);
+            res.json({
+                messages: [...older.messages, ...newer.messages],
+                hasMoreBefore: older.hasMore,
+                hasMoreAfter: newer.hasMore
+            });
+        } else if (after) {
+            const page = await fetchMessagePage(chatId, req.user.id, cursor, 'after', limit);
+            await markDelivered(req.user.id, page.messages);
+            res.json({ messages: page.messages, hasMoreBefore: true, hasMoreAfter: page.hasMore });
+        } else {
+            const page = await fetchMessagePage(chatId, req.user.id, cursor, 'before', limit);
+            await markDelivered(req.user.id, page.messages);
+            res.json({ messages: page.messages, hasMoreBefore: page.hasMore, hasMoreAfter: Boolean(before) });
+        }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Ветка обсуждения: само сообщение и ответы на него по порядку; дальше — after=<id последнего ответа>
+app.get('/api/messages/:chatId/:messageId/replies', requireAuth, async (req, res) => {
+    const { chatId, messageId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+
+    try {
+        const { message } = await assertMessageAccess(messageId, req.user.id);
+        if (message.chat_id !== chatId) {
+            throw new AccessError('not_found', 'Сообщение не найдено');
+        }
+
+        let cursor = null;
+        if (req.query.after) {
+            cursor = await findReplyCursor(messageId, req.query.after);
+            if (!cursor) {
+                throw new AccessError('not_found', 'Ответ не найден');
+            }
+        }
+
+        const [root, page] = await Promise.all([
+            fetchMessagePage(chatId, req.user.id, message, 'from', 1),
+            fetchMessagePage(chatId, req.user.id, cursor, 'after', limit, { replyTo: messageId })
+        ]);
+        await markDelivered(req.user.id, page.messages);
+        res.json({ root: root.messages[0], replies: page.messages, hasMore: page.hasMore });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// История правок: текущий текст и прежние версии от новых к старым
+app.get('/api/messages/:chatId/:messageId/revisions', requireAuth, async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    try {
+        const { message } = await assertMessageAccess(messageId, req.user.id);
+        if (message.chat_id !== chatId) {
+            throw new AccessError('not_found', 'Сообщение не найдено');
+        }
+
+        const { current, revisions } = await selectMessageRevisions(messageId);
+        res.json({
+            messageId,
+            text: current.text,
+            editedAt: current.edited_at,
+            revisions: revisions.map(revision => ({
+                text: revision.text,
+                editedAt: revision.edited_at,
+                editor: { id: revision.editor_id, username: revision.username, fullname: revision.fullname }
+            }))
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Кто получил и прочитал сообщение; доступно только его автору
+app.get('/api/messages/:chatId/:messageId/receipts', requireAuth, async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    try {
+        const { message } = await assertMessageAccess(messageId, req.user.id);
+        if (message.chat_id !== chatId) {
+            throw new AccessError('not_found', 'Сообщение не найдено');
+        }
+        if (message.sender_id !== req.user.id) {
+            throw new AccessError('forbidden', 'Квитанции видны только автору сообщения');
+        }
+
+        const receipts = await selectMessageReceipts(messageId);
+        res.json(receipts.map(r => ({
+            user: publicUser(r),
+            deliveredAt: r.delivered_at,
+            readAt: r.read_at
+        })));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Поиск по сообщениям чатов, в которых состоит пользователь.
+// Фильтры: chatId, senderId, from/to (ISO), hasAttachment=1|0; страницы через limit/offset
+const SEARCH_PAGE_SIZE = 20;
+
+app.get('/api/search', requireAuth, async (req, res) => {
+    const { chatId, senderId, from, to, hasAttachment } = req.query;
+    const query = buildSearchQuery(String(req.query.q || '').trim());
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (!query) {
+        return res.status(400).json({ error: 'Введите текст для поиска', code: 'bad_request' });
+    }
+
+    let withAttachment = null;
+    if (hasAttachment === '1' || hasAttachment === 'true') {
+        withAttachment = true;
+    } else if (hasAttachment === '0' || hasAttachment === 'false') {
+        withAttachment = false;
+    }
+
+    try {
+        // Совпадения в snippet обрамлены \u0001...\u0002, клиент заменяет их на <mark>
+        const results = await searchMessages(req.user.id, query,
+            { chatId, senderId, from, to, hasAttachment: withAttachment }, limit, offset);
+
+        res.json({ results: results.slice(0, limit), hasMore: results.length > limit });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+const CHAT_TYPES = ['private', 'group', 'channel'];
+const CHANNEL_HANDLE_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{4,31}$/;
+
+// Для канала можно передать handle — тогда он публичный и находится поиском
+app.post('/api/chats/create', requireAuth, async (req, res) => {
+    const { description } = req.body;
+    const name = String(req.body.name || '').trim();
+    const type = req.body.type || 'private';
+    const handle = type === 'channel' && req.body.handle ? String(req.body.handle).replace(/^@/, '') : null;
+    const chatId = uuidv4();
+    const now = new Date();
+
+    if (!Array.isArray(req.body.members)) {
+        return res.status(400).json({ error: 'Список участников обязателен', code: 'bad_request' });
+    }
+    if (!CHAT_TYPES.includes(type)) {
+        return res.status(400).json({ error: 'Неизвестный тип чата', code: 'bad_request' });
+    }
+    if (handle && !CHANNEL_HANDLE_PATTERN.test(handle)) {
+        return res.status(400).json({
+            error: 'Адрес канала: 5–32 символа, латиница, цифры и _, начинается с буквы',
+            code: 'bad_request'
+        });
+    }
+    if (MANAGED_CHAT_TYPES.includes(type) && (!name || name.length > MAX_CHAT_NAME_LENGTH)) {
+        return res.status(400).json({ error: `Название — от 1 до ${MAX_CHAT_NAME_LENGTH} символов`, code: 'bad_request' });
+    }
+
+    // Создатель всегда участник и владелец чата
+    const members = [...new Set(req.body.members.filter(id => id !== req.user.id))];
+
+    // Личный чат у пары один, здесь он только находится или создается
+    if (type === 'private') {
+        if (members.length !== 1) {
+            return res.status(400).json({ error: 'В личном чате ровно один собеседник', code: 'bad_request' });
+        }
+        try {
+            const peer = await findOtherUser(req.user.id, members[0]);
+            return res.json({ success: true, chatId: await getOrCreatePrivateChat(req.user.id, peer.id) });
+        } catch (error) {
+            return sendError(res, error);
+        }
+    }
+
+    try {
+        // Участники связаны с пользователями внешним ключом: несуществующий id — ошибка запроса
+        const known = await selectExistingUserIds(members);
+        if (known.length !== members.length) {
+            throw new AccessError('not_found', 'Пользователь не найден');
+        }
+
+        await createChat({
+            id: chatId,
+            name,
+            type,
+            handle,
+            description: type === 'channel' ? description || null : null,
+            createdAt: now.toISOString()
+        }, req.user.id, members);
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'Этот адрес канала уже занят', code: 'conflict' });
+        }
+        return sendError(res, error);
+    }
+
+    if (MANAGED_CHAT_TYPES.includes(type)) {
+        announceGroupCreated(chatId, req.user, members)
+            .catch(error => console.error('❌ Ошибка создания группы:', error.message));
+    }
+    res.json({ success: true, chatId: chatId });
+});
+
+// Управление группами. Состав, название, аватар и приглашения — владелец и администраторы,
+// назначение администраторов — только владелец. Каждое изменение попадает в историю
+// служебным сообщением и рассылается участникам событием журнала
+const MANAGED_CHAT_TYPES = ['group', 'channel'];
+const ROLE_RANK = { owner: 2, admin: 1, member: 0 };
+const MAX_CHAT_NAME_LENGTH = 64;
+const INVITE_CODE_BYTES = 12;
+
+function isChannel(chat) {
+    return chat.type === 'channel';
+}
+
+// Подписчики канала друг друга не видят: о смене состава и ролей узнают администраторы
+// и сам затронутый пользователь, а служебные сообщения о вступлениях не пишутся в ленту
+async function membershipAudience(chat, affectedIds) {
+    if (!isChannel(chat)) {
+        return [...new Set([...await getChatMemberIds(chat.id), ...affectedIds])];
+    }
+    const admins = await selectMemberIdsWithRoles(chat.id, ADMIN_ROLES);
+    return [...new Set([...admins, ...affectedIds])];
+}
+
+async function postMembershipMessage(chat, text, meta) {
+    if (!isChannel(chat)) {
+        await postSystemMessage(chat.id, text, meta);
+    }
+}
+
+async function assertGroupManagement(chatId, userId, { adminOnly = true } = {}) {
+    const chat = await getChatSummary(chatId);
+    if (!chat) {
+        throw new AccessError('not_found', 'Чат не найден');
+    }
+    const membership = await assertChatMember(chatId, userId);
+    if (!MANAGED_CHAT_TYPES.includes(chat.type) || chat.id === 'general') {
+        throw new AccessError('forbidden', 'Этим чатом нельзя управлять');
+    }
+    if (adminOnly && !isChatAdmin(membership)) {
+        throw new AccessError('forbidden', 'Нужны права администратора');
+    }
+    return { chat, membership };
+}
+
+async function getDisplayNames(userIds) {
+    const users = await selectUsers(userIds);
+    return userIds.map(id => users.find(u => u.id === id)).filter(Boolean).map(u => u.fullname || u.username);
+}
+
+function displayName(user) {
+    return user.fullname || user.username;
+}
+
+async function announceGroupCreated(chatId, creator, memberIds) {
+    const chat = await getChatSummary(chatId);
+    const text = isChannel(chat) ? `Канал «${chat.name}» создан` : `${displayName(creator)} создал(а) группу «${chat.name}»`;
+    await postSystemMessage(chatId, text, { action: 'chat_created', actorId: creator.id });
+    await publishEvent([creator.id, ...memberIds], { type: 'chat_member_added', chatId, chat, userIds: memberIds, actorId: creator.id });
+}
+
+app.get('/api/chats/:chatId/members', requireAuth, async (req, res) => {
+    try {
+        const membership = await assertChatMember(req.params.chatId, req.user.id);
+        const chat = await getChatSummary(req.params.chatId);
+        if (isChannel(chat) && !isChatAdmin(membership)) {
+            throw new AccessError('forbidden', 'Список подписчиков видят только администраторы');
+        }
+        const members = await selectChatMembers(req.params.chatId, req.user.id);
+        res.json(members.map(member => describePresence(member, req.user.id)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/chats/:chatId/members', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+
+    try {
+        const { chat } = await assertGroupManagement(chatId, req.user.id);
+        if (!Array.isArray(req.body.userIds) || req.body.userIds.length === 0) {
+            throw new AccessError('bad_request', 'Список пользователей обязателен');
+        }
+
+        const requested = [...new Set(req.body.userIds)];
+        const added = await selectNonMemberIds(chatId, requested);
+        if (added.length === 0) {
+            return res.json({ success: true, added });
+        }
+
+        for (const userId of added) {
+            await addChatMember(chatId, userId);
+        }
+
+        const names = await getDisplayNames(added);
+        await postMembershipMessage(chat, `${displayName(req.user)} добавил(а) ${names.join(', ')}`,
+            { action: 'members_added', actorId: req.user.id, userIds: added });
+        await publishEvent(await membershipAudience(chat, added),
+            { type: 'chat_member_added', chatId, chat, userIds: added, actorId: req.user.id });
+
+        res.json({ success: true, added });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Исключить можно только того, у кого роль ниже своей
+app.delete('/api/chats/:chatId/members/:userId', requireAuth, async (req, res) => {
+    const { chatId, userId } = req.params;
+
+    try {
+        const { chat, membership } = await assertGroupManagement(chatId, req.user.id);
+        if (userId === req.user.id) {
+            throw new AccessError('bad_request', 'Чтобы выйти из группы, используйте /leave');
+        }
+        const target = await getMembership(chatId, userId);
+        if (!target) {
+            throw new AccessError('not_found', 'Пользователь не состоит в чате');
+        }
+        if (ROLE_RANK[target.role] >= ROLE_RANK[membership.role]) {
+            throw new AccessError('forbidden', 'Недостаточно прав, чтобы исключить этого участника');
+        }
+
+        // Сообщение уходит до удаления, чтобы его увидел и исключенный
+        const [name] = await getDisplayNames([userId]);
+        await postMembershipMessage(chat, `${displayName(req.user)} исключил(а) ${name}`,
+            { action: 'member_removed', actorId: req.user.id, userIds: [userId] });
+        await removeChatMember(chatId, userId);
+        await publishEvent(await membershipAudience(chat, [userId]),
+            { type: 'chat_member_removed', chatId, userId, actorId: req.user.id });
+        await leaveRoom(userId, chatId);
+
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Владелец при выходе передает права самому старому администратору, а если их нет — участнику
+app.post('/api/chats/:chatId/leave', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+
+    try {
+        const { chat, membership } = await assertGroupManagement(chatId, req.user.id, { adminOnly: false });
+
+        await postMembershipMessage(chat, `${displayName(req.user)} покинул(а) группу`,
+            { action: 'member_left', actorId: req.user.id, userIds: [req.user.id] });
+        await removeChatMember(chatId, req.user.id);
+        await publishEvent(await membershipAudience(chat, [req.user.id]),
+            { type: 'chat_member_removed', chatId, userId: req.user.id, actorId: req.user.id });
+        await leaveRoom(req.user.id, chatId);
+
+        const heirId = membership.role === 'owner' && await findChatHeir(chatId);
+        if (heirId) {
+            await changeMemberRole(chat, heirId, 'owner', SYSTEM_SENDER);
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+async function changeMemberRole(chat, userId, role, actor) {
+    const chatId = chat.id;
+    await setMemberRole(chatId, userId, role);
+
+    const [name] = await getDisplayNames([userId]);
+    const text = {
+        owner: `${name} теперь владелец группы`,
+        admin: `${displayName(actor)} назначил(а) ${name} администратором`,
+        member: `${displayName(actor)} снял(а) с ${name} права администратора`
+    }[role];
+    await postMembershipMessage(chat, text, { action: 'role_changed', actorId: actor.id, userIds: [userId], role });
+    await publishEvent(await membershipAudience(chat, [userId]),
+        { type: 'chat_member_role', chatId, userId, role, actorId: actor.id });
+}
+
+function roleRoute(role) {
+    return async (req, res) => {
+        const { chatId, userId } = req.params;
+
+        try {
+            const { chat, membership } = await assertGroupManagement(chatId, req.user.id);
+            if (membership.role !== 'owner') {
+                throw new AccessError('forbidden', 'Назначать администраторов может только владелец');
+            }
+            const target = await getMembership(chatId, userId);
+            if (!target) {
+                throw new AccessError('not_found', 'Пользователь не состоит в чате');
+            }
+            if (target.role === 'owner') {
+                throw new AccessError('bad_request', 'Роль владельца не меняется');
+            }
+
+            if (target.role !== role) {
+                await changeMemberRole(chat, userId, role, req.user);
+            }
+            res.json({ success: true, role });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+}
+
+app.post('/api/chats/:chatId/members/:userId/promote', requireAuth, roleRoute('admin'));
+app.post('/api/chats/:chatId/members/:userId/demote', requireAuth, roleRoute('member'));
+
+app.patch('/api/chats/:chatId', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+    const name = String(req.body.name || '').trim();
+
+    try {
+        const { chat } = await assertGroupManagement(chatId, req.user.id);
+        if (!name || name.length > MAX_CHAT_NAME_LENGTH) {
+            throw new AccessError('bad_request', `Название — от 1 до ${MAX_CHAT_NAME_LENGTH} символов`);
+        }
+        if (name === chat.name) {
+            return res.json({ success: true, chat });
+        }
+
+        await setChatName(chatId, name);
+        await postSystemMessage(chatId, isChannel(chat) ? `Канал переименован в «${name}»` :
+            `${displayName(req.user)} переименовал(а) группу в «${name}»`,
+            { action: 'renamed', actorId: req.user.id, name });
+
+        const updated = await getChatSummary(chatId);
+        await publishEvent(await getChatMemberIds(chatId), { type: 'chat_updated', chatId, chat: updated });
+        res.json({ success: true, chat: updated });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Разрешенные реакции группы или канала: массив эмодзи или null — любые.
+// Уже поставленные реакции остаются, запрет действует на новые
+app.put('/api/chats/:chatId/reactions', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+    const { reactions } = req.body;
+
+    try {
+        const { chat } = await assertGroupManagement(chatId, req.user.id);
+        let allowed = null;
+        if (reactions !== null && reactions !== undefined) {
+            if (!Array.isArray(reactions) || reactions.length === 0 || reactions.length > MAX_ALLOWED_REACTIONS ||
+                    !reactions.every(isValidReaction)) {
+                throw new AccessError('bad_request', `Укажите от 1 до ${MAX_ALLOWED_REACTIONS} эмодзи или null, чтобы разрешить любые`);
+            }
+            allowed = JSON.stringify([...new Set(reactions)]);
+        }
+
+        if (allowed !== chat.allowed_reactions) {
+            await setAllowedReactions(chatId, allowed);
+            const updated = await getChatSummary(chatId);
+            await publishEvent(await getChatMemberIds(chatId), { type: 'chat_updated', chatId, chat: updated });
+        }
+        res.json({ success: true, chat: await getChatSummary(chatId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Аватар сначала загружается обычным /api/upload в этот чат, здесь приходит id вложения.
+// Вложение привязывается к служебному сообщению, поэтому очистка неотправленных его не тронет
+app.put('/api/chats/:chatId/avatar', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+
+    try {
+        const { chat } = await assertGroupManagement(chatId, req.user.id);
+        const attachment = await findUnsentAttachment(req.body.attachmentId, req.user.id, chatId);
+        if (!attachment) {
+            throw new AccessError('not_found', 'Файл не найден, загрузите его заново');
+        }
+        if (!attachment.mime.startsWith('image/')) {
+            throw new AccessError('bad_request', 'Аватар должен быть изображением');
+        }
+
+        await setChatAvatar(chatId, attachmentUrl(attachment));
+        await postSystemMessage(chatId, isChannel(chat) ? 'Фото канала обновлено' :
+            `${displayName(req.user)} обновил(а) фото группы`,
+            { action: 'avatar_changed', actorId: req.user.id }, attachment);
+
+        const updated = await getChatSummary(chatId);
+        await publishEvent(await getChatMemberIds(chatId), { type: 'chat_updated', chatId, chat: updated });
+        res.json({ success: true, chat: updated });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Публичные каналы: поиск по handle и названию, подписка без приглашения.
+// Отписка — тот же POST /api/chats/:chatId/leave
+const CHANNEL_SEARCH_LIMIT = 20;
+
+app.get('/api/channels', requireAuth, async (req, res) => {
+    const query = String(req.query.q || '').trim().replace(/^@/, '');
+    if (!query) {
+        return res.status(400).json({ error: 'Введите адрес или название канала', code: 'bad_request' });
+    }
+
+    try {
+        res.json(await searchPublicChannels(req.user.id, query, CHANNEL_SEARCH_LIMIT));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/channels/:handle', requireAuth, async (req, res) => {
+    try {
+        const channel = await findPublicChannel(req.user.id, req.params.handle.replace(/^@/, ''));
+        if (!channel) {
+            throw new AccessError('not_found', 'Канал не найден');
+        }
+        res.json(channel);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/channels/:chatId/subscribe', requireAuth, async (req, res) => {
+    try {
+        const chat = await getChatSummary(req.params.chatId);
+        if (!chat || !isChannel(chat) || !chat.handle) {
+            throw new AccessError('not_found', 'Канал не найден');
+        }
+
+        const result = await addChatMember(chat.id, req.user.id);
+        if (result.changes) {
+            await publishEvent(await membershipAudience(chat, [req.user.id]),
+                { type: 'chat_member_added', chatId: chat.id, chat, userIds: [req.user.id], actorId: req.user.id });
+        }
+        res.json({ success: true, chat });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Приглашения: expiresIn — срок жизни в секундах, maxUses — лимит вступлений; оба необязательны
+function publicInvite(invite) {
+    return {
+        code: invite.code,
+        chatId: invite.chat_id,
+        url: `/invite/${invite.code}`,
+        createdBy: invite.created_by,
+        expiresAt: invite.expires_at,
+        maxUses: invite.max_uses,
+        uses: invite.uses,
+        revoked: Boolean(invite.revoked),
+        createdAt: invite.created_at
+    };
+}
+
+app.post('/api/chats/:chatId/invites', requireAuth, async (req, res) => {
+    const { chatId } = req.params;
+    const expiresIn = req.body.expiresIn ? parseInt(req.body.expiresIn, 10) : null;
+    const maxUses = req.body.maxUses ? parseInt(req.body.maxUses, 10) : null;
+
+    try {
+        await assertGroupManagement(chatId, req.user.id);
+        if ((expiresIn !== null && !(expiresIn > 0)) || (maxUses !== null && !(maxUses > 0))) {
+            throw new AccessError('bad_request', 'Срок действия и лимит должны быть положительными числами');
+        }
+
+        const now = new Date();
+        const invite = await insertInvite({
+            code: crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url'),
+            chatId,
+            createdBy: req.user.id,
+            expiresAt: expiresIn ? new Date(now.getTime() + expiresIn * 1000).toISOString() : null,
+            maxUses,
+            createdAt: now.toISOString()
+        });
+
+        res.json(publicInvite(invite));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/chats/:chatId/invites', requireAuth, async (req, res) => {
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        const invites = await selectChatInvites(req.params.chatId);
+        res.json(invites.map(publicInvite));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/chats/:chatId/invites/:code', requireAuth, async (req, res) => {
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        const result = await revokeInvite(req.params.chatId, req.params.code);
+        if (result.changes === 0) {
+            throw new AccessError('not_found', 'Приглашение не найдено');
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+async function findActiveInvite(code) {
+    const invite = await findUsableInvite(code);
+    if (!invite) {
+        throw new AccessError('not_found', 'Приглашение недействительно или истекло');
+    }
+    return invite;
+}
+
+// Превью группы по ссылке, до вступления
+app.get('/api/invites/:code', requireAuth, async (req, res) => {
+    try {
+        const invite = await findActiveInvite(req.params.code);
+        const chat = await getChatSummary(invite.chat_id);
+        const membersCount = await countChatMembers(invite.chat_id);
+        const membership = await getMembership(invite.chat_id, req.user.id);
+        res.json({ chat, membersCount, isMember: Boolean(membership) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-// Статические файлы
-app.use(express.static(path.join(__dirname)));
-app.use('/uploads', express.static(uploadsDir));
+app.post('/api/invites/:code/join', requireAuth, async (req, res) => {
+    try {
+        const invite = await findActiveInvite(req.params.code);
+        if (await getMembership(invite.chat_id, req.user.id)) {
+            return res.json({ success: true, chatId: invite.chat_id });
+        }
 
-// Хранилище активных соединений
-const clients = new Map(); // userId -> WebSocket
+        if (!await useInvite(invite.code)) {
+            throw new AccessError('not_found', 'Приглашение недействительно или истекло');
+        }
 
-// WebSocket обработчик
-wss.on('connection', (ws, req) => {
-    console.log('🔌 Новое WebSocket соединение');
-    let currentUser = null;
+        const chat = await getChatSummary(invite.chat_id);
+        await addChatMember(chat.id, req.user.id);
+        await postMembershipMessage(chat, `${displayName(req.user)} присоединился(-ась) по ссылке`,
+            { action: 'member_joined', actorId: req.user.id, userIds: [req.user.id] });
+        await publishEvent(await membershipAudience(chat, [req.user.id]),
+            { type: 'chat_member_added', chatId: chat.id, chat, userIds: [req.user.id], actorId: req.user.id });
 
-    ws.on('message', async (data) => {
-        try {
-            const message = JSON.parse(data);
-            console.log('📨 Получено сообщение:', message.type);
+        res.json({ success: true, chatId: invite.chat_id });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-            switch(message.type) {
-                case 'auth':
-                    await handleAuth(ws, message);
-                    break;
-                case 'message':
-                    await handleMessage(message);
-                    break;
-                case 'typing':
-                    handleTyping(message);
-                    break;
-                case 'read':
-                    await handleRead(message);
-                    break;
-                case 'story':
-                    await handleStory(message);
-                    break;
-                case 'reaction':
-                    await handleReaction(message);
-                    break;
-                case 'edit':
-                    await handleEdit(message);
-                    break;
-                case 'delete':
-                    await handleDelete(message);
-                    break;
-                case 'call':
-                    await handleCall(message);
-                    break;
-                default:
-                    console.log('❓ Неизвестный тип сообщения:', message.type);
+// Файл привязывается к чату сразу: поле chatId должно идти в форме перед файлом
+app.post('/api/upload', requireAuth, (req, res) => {
+    upload.single('file')(req, res, async (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: 'Файл слишком большой (максимум 50 МБ)' });
             }
+            return res.status(400).json({ error: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // purpose=story — медиа для истории: чата у него нет, доступ к нему дает сама история
+        const forStory = req.body.purpose === 'story';
+        try {
+            if (!forStory) await assertCanPost(req.body.chatId, req.user.id);
         } catch (error) {
-            console.error('❌ Ошибка обработки сообщения:', error);
+            fs.unlink(req.file.path, () => {});
+            return sendError(res, error);
         }
-    });
 
-    ws.on('close', () => {
-        if (currentUser) {
-            console.log(`🔴 Пользователь отключился: ${currentUser.username}`);
-            clients.delete(currentUser.id);
-            
-            // Обновляем статус в БД
-            db.run('UPDATE users SET online = 0, last_seen = ? WHERE id = ?', 
-                [new Date().toISOString(), currentUser.id]);
-            
-            // Уведомляем всех
-            broadcast({
-                type: 'user_offline',
-                userId: currentUser.id,
-                username: currentUser.username,
-                fullname: currentUser.fullname,
-                last_seen: new Date()
+        try {
+            const attachment = await storeAttachment({
+                tempPath: req.file.path,
+                originalName: decodeFileName(req.file),
+                size: req.file.size,
+                ownerId: req.user.id,
+                chatId: forStory ? null : req.body.chatId
+            });
+
+            res.json({
+                success: true,
+                attachmentId: attachment.id,
+                path: attachmentUrl(attachment),
+                size: attachment.size,
+                mime: attachment.mime,
+                width: attachment.width,
+                height: attachment.height
             });
+        } catch (error) {
+            sendError(res, error);
         }
     });
+});
 
-    async function handleAuth(ws, message) {
-        const { userId, username, fullname, email } = message;
-        
-        // Сохраняем пользователя
-        db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
-            if (!user) {
-                db.run(`INSERT INTO users (id, username, fullname, email, online, last_seen) 
-                        VALUES (?, ?, ?, ?, 1, ?)`,
-                    [userId, username, fullname || username, email || '', new Date().toISOString()]);
-            } else {
-                db.run('UPDATE users SET online = 1, last_seen = ? WHERE id = ?', 
-                    [new Date().toISOString(), userId]);
+// Вложение видят участники чата, в который оно отправлено, и сам загрузивший;
+// медиа истории — те, кому видна история
+async function findAccessibleAttachment(attachmentId, userId) {
+    const attachment = await findAttachment(attachmentId);
+    if (!attachment) {
+        throw new AccessError('not_found', 'Файл не найден');
+    }
+    if (attachment.owner_id !== userId) {
+        if (attachment.chat_id) {
+            await assertChatMember(attachment.chat_id, userId);
+        } else {
+            const story = await findStoryByAttachment(attachment.id);
+            await findVisibleStory(story ? story.id : null, userId);
+        }
+    }
+    return attachment;
+}
+
+// Подпись дает доступ к одному вложению от имени одного пользователя до срока expires
+function signMediaAccess(attachmentId, userId, expires) {
+    return crypto.createHmac('sha256', sessionSecret)
+        .update(`media.${attachmentId}.${userId}.${expires}`)
+        .digest('base64url');
+}
+
+function mediaSignature(attachmentId, userId) {
+    const expires = Math.ceil((Date.now() + MEDIA_URL_TTL) / MEDIA_URL_STEP) * MEDIA_URL_STEP;
+    const query = new URLSearchParams({ user: userId, expires, signature: signMediaAccess(attachmentId, userId, expires) });
+    return { query: query.toString(), expires };
+}
+
+// <img>, <audio> и ссылки на скачивание заголовок не передают — им подписанная ссылка.
+// Доступ к чату все равно проверяется при каждой загрузке, подпись только называет пользователя
+function requireMediaAuth(req, res, next) {
+    const { user: userId, expires, signature } = req.query;
+    if (!signature) return requireAuth(req, res, next);
+
+    const expected = Buffer.from(signMediaAccess(req.params.id, String(userId), String(expires)));
+    const actual = Buffer.from(String(signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual) || Number(expires) < Date.now()) {
+        return res.status(401).json({ error: 'Ссылка на файл недействительна или устарела' });
+    }
+    req.user = { id: String(userId) };
+    next();
+}
+
+// Подписи для вложений, которые видит пользователь; чужие id просто пропускаются
+app.post('/api/attachments/signatures', requireAuth, async (req, res) => {
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(String))] : [];
+
+    try {
+        if (ids.length > MEDIA_SIGNATURES_LIMIT) {
+            throw new AccessError('bad_request', `Не больше ${MEDIA_SIGNATURES_LIMIT} вложений за раз`);
+        }
+        const signatures = {};
+        for (const id of ids) {
+            try {
+                await findAccessibleAttachment(id, req.user.id);
+                signatures[id] = mediaSignature(id, req.user.id);
+            } catch (error) {
+                if (!(error instanceof AccessError)) throw error;
+            }
+        }
+        res.json({ success: true, signatures });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/attachments/:id', requireMediaAuth, async (req, res) => {
+    try {
+        const attachment = await findAccessibleAttachment(req.params.id, req.user.id);
+        if (req.query.download) {
+            res.attachment(attachment.original_name);
+        }
+        res.sendFile(blobPath(attachment.hash), {
+            headers: {
+                'Content-Type': attachment.mime,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, max-age=86400'
             }
         });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/attachments/:id/thumbnail', requireMediaAuth, async (req, res) => {
+    try {
+        const attachment = await findAccessibleAttachment(req.params.id, req.user.id);
+        if (!attachment.has_thumbnail) {
+            throw new AccessError('not_found', 'У файла нет превью');
+        }
+        res.sendFile(thumbnailPath(attachment.hash), {
+            headers: { 'Cache-Control': 'private, max-age=86400' }
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        currentUser = { id: userId, username, fullname: fullname || username, email };
-        clients.set(userId, ws);
+app.get('/api/storage', requireAuth, async (req, res) => {
+    try {
+        res.json({ used: await getStorageUsage(req.user.id), quota: USER_STORAGE_QUOTA });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Получаем список всех пользователей
-        db.all('SELECT id, username, fullname, email, online, last_seen FROM users', (err, users) => {
-            ws.send(JSON.stringify({
-                type: 'auth_success',
-                userId: userId,
-                users: users || []
-            }));
+// Журнал звонков, новые сверху; следующая страница — before=<id последнего звонка>
+app.get('/api/calls', requireAuth, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CALL_PAGE_SIZE, 1), MAX_CALL_PAGE_SIZE);
+    const userId = req.user.id;
+
+    try {
+        let cursor = null;
+        if (req.query.before) {
+            cursor = await findCallCursor(userId, req.query.before);
+            if (!cursor) {
+                throw new AccessError('not_found', 'Звонок не найден');
+            }
+        }
+
+        const rows = await selectCallPage(userId, cursor, limit);
+        res.json({
+            calls: rows.slice(0, limit).map(row => formatCall(row, userId)),
+            hasMore: rows.length > limit
         });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Уведомляем всех
-        broadcast({
-            type: 'user_online',
-            userId: userId,
-            username: username,
-            fullname: fullname || username
-        }, userId);
+// Пользователь открыл журнал — пропущенные больше не показываем при входе
+app.post('/api/calls/seen', requireAuth, async (req, res) => {
+    try {
+        await markCallsSeen(req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        console.log(`✅ Пользователь авторизован: ${username}`);
+// Истории живут сутки, потом их вместе с медиа удаляет purgeExpiredStories
+const STORY_TTL = 24 * 60 * 60 * 1000;
+const STORY_PURGE_INTERVAL = 10 * 60 * 1000;
+const STORY_AUDIENCES = ['everyone', 'contacts', 'close_friends'];
+const MAX_STORY_TEXT_LENGTH = 1000;
+const MAX_CLOSE_FRIENDS = 500;
+
+function formatStory(row) {
+    const media = row.attachment_id ? attachmentUrl({ id: row.attachment_id }) : null;
+    return {
+        id: row.id,
+        user_id: row.user_id,
+        username: row.username,
+        fullname: row.fullname,
+        avatar: row.avatar,
+        content: row.content,
+        type: row.type,
+        media: media,
+        mime: row.mime || null,
+        thumbnail: media && row.has_thumbnail ? `${media}/thumbnail` : null,
+        audience: row.user_id === row.viewer_id ? row.audience : undefined,
+        viewed: Boolean(row.viewed),
+        view_count: row.view_count,
+        created_at: row.created_at,
+        expires_at: row.expires_at
+    };
+}
+
+async function findVisibleStory(storyId, userId) {
+    const [story] = storyId ? await selectVisibleStories(userId, storyId) : [];
+    if (!story) {
+        throw new AccessError('not_found', 'История не найдена или уже истекла');
+    }
+    return story;
+}
+
+async function purgeExpiredStories() {
+    const expired = await selectExpiredStories();
+    for (const story of expired) {
+        await deleteStory(story.id);
+        const attachment = story.attachment_id ? await findAttachment(story.attachment_id) : null;
+        if (attachment) await removeAttachment(attachment);
+    }
+    if (expired.length) {
+        console.log(`🧹 Удалено истекших историй: ${expired.length}`);
+    }
+}
+
+setInterval(() => {
+    purgeExpiredStories().catch(error => console.error('❌ Ошибка очистки историй:', error));
+}, STORY_PURGE_INTERVAL);
+
+app.get('/api/stories', requireAuth, async (req, res) => {
+    try {
+        const stories = await selectVisibleStories(req.user.id);
+        res.json(stories.map(formatStory));
+    } catch (error) {
+        sendError(res, error);
     }
+});
 
-    async function handleMessage(message) {
-        const { chatId, text, receiverId, image, file, fileName, fileSize } = message;
-        const messageId = uuidv4();
-        const time = new Date();
-
-        // Сохраняем сообщение
-        db.run(`INSERT INTO messages (id, chat_id, sender_id, text, image, file, file_name, file_size, time) 
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [messageId, chatId, currentUser.id, text, image, file, fileName, fileSize, time.toISOString()]);
-
-        // Получаем информацию об отправителе
-        db.get('SELECT username, fullname FROM users WHERE id = ?', [currentUser.id], (err, sender) => {
-            const messageData = {
-                type: 'new_message',
-                id: messageId,
-                chatId: chatId,
-                senderId: currentUser.id,
-                senderName: currentUser.username,
-                senderFullname: sender?.fullname || currentUser.username,
-                text: text,
-                image: image,
-                file: file,
-                fileName: fileName,
-                fileSize: fileSize,
-                time: time,
-                read: false
-            };
-
-            // Отправляем всем участникам чата
-            db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [chatId], (err, members) => {
-                members?.forEach(member => {
-                    if (clients.has(member.user_id) && member.user_id !== currentUser.id) {
-                        clients.get(member.user_id).send(JSON.stringify(messageData));
-                    }
+// Просмотр засчитывается один раз; автору уходит обновленный счетчик
+app.post('/api/stories/:storyId/view', requireAuth, async (req, res) => {
+    try {
+        const story = await findVisibleStory(req.params.storyId, req.user.id);
+        if (story.user_id !== req.user.id) {
+            const count = await addStoryView(story.id, req.user.id);
+            if (count !== null) {
+                sendToUser(story.user_id, {
+                    type: 'story_viewed',
+                    storyId: story.id,
+                    viewer: profileCard(req.user),
+                    viewCount: count
                 });
-            });
-
-            // Отправляем подтверждение отправителю
-            if (clients.has(currentUser.id)) {
-                clients.get(currentUser.id).send(JSON.stringify({
-                    ...messageData,
-                    type: 'message_sent'
-                }));
             }
-        });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
     }
+});
 
-    function handleTyping(message) {
-        const { chatId, receiverId, isTyping } = message;
-        
-        if (receiverId && clients.has(receiverId)) {
-            clients.get(receiverId).send(JSON.stringify({
-                type: 'typing',
-                chatId: chatId,
-                userId: currentUser.id,
-                username: currentUser.username,
-                isTyping: isTyping
-            }));
+// «Кто смотрел» — только автору
+app.get('/api/stories/:storyId/viewers', requireAuth, async (req, res) => {
+    try {
+        const story = await findVisibleStory(req.params.storyId, req.user.id);
+        if (story.user_id !== req.user.id) {
+            throw new AccessError('forbidden', 'Просмотры видны только автору истории');
         }
+        const viewers = await selectStoryViewers(story.id);
+        res.json(viewers.map(viewer => ({ user: profileCard(viewer), viewedAt: viewer.viewed_at })));
+    } catch (error) {
+        sendError(res, error);
     }
+});
 
-    async function handleRead(message) {
-        const { messageId } = message;
-        
-        db.run('UPDATE messages SET read = 1 WHERE id = ?', [messageId]);
-        
-        db.get('SELECT sender_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row && clients.has(row.sender_id)) {
-                clients.get(row.sender_id).send(JSON.stringify({
-                    type: 'message_read',
-                    messageId: messageId,
-                    readerId: currentUser.id
-                }));
+// Ответ на историю приходит автору в личный чат со ссылкой на историю в meta
+app.post('/api/stories/:storyId/reply', requireAuth, async (req, res) => {
+    const text = String(req.body.text || '').trim();
+
+    try {
+        const story = await findVisibleStory(req.params.storyId, req.user.id);
+        if (story.user_id === req.user.id) {
+            throw new AccessError('bad_request', 'Нельзя ответить на свою историю');
+        }
+        if (!text) {
+            throw new AccessError('bad_request', 'Введите текст ответа');
+        }
+
+        await assertNotBlocked(req.user.id, story.user_id);
+        const chatId = await getOrCreatePrivateChat(req.user.id, story.user_id);
+        const message = await sendChatMessage({
+            chatId,
+            sender: req.user,
+            text,
+            meta: {
+                action: 'story_reply',
+                storyId: story.id,
+                storyType: story.type,
+                storyPreview: story.content ? story.content.slice(0, REPLY_SNIPPET_LENGTH) : null,
+                storyThumbnail: formatStory(story).thumbnail
             }
         });
+        res.json({ success: true, chatId, messageId: message.id });
+    } catch (error) {
+        sendError(res, error);
     }
+});
 
-    async function handleStory(message) {
-        const { content, type } = message;
-        const storyId = uuidv4();
-        const now = new Date();
-        const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-
-        db.run(`INSERT INTO stories (id, user_id, content, type, created_at, expires_at) 
-                VALUES (?, ?, ?, ?, ?, ?)`,
-            [storyId, currentUser.id, content, type || 'text', now.toISOString(), expiresAt.toISOString()]);
-
-        // Получаем информацию о пользователе
-        db.get('SELECT username, fullname FROM users WHERE id = ?', [currentUser.id], (err, user) => {
-            broadcast({
-                type: 'new_story',
-                id: storyId,
-                userId: currentUser.id,
-                username: user?.username || currentUser.username,
-                fullname: user?.fullname || currentUser.fullname,
-                content: content,
-                type: type || 'text',
-                time: now
-            });
-        });
+app.get('/api/close-friends', requireAuth, async (req, res) => {
+    try {
+        const friends = await selectCloseFriends(req.user.id);
+        res.json(friends.map(profileCard));
+    } catch (error) {
+        sendError(res, error);
     }
+});
 
-    async function handleReaction(message) {
-        const { messageId, reaction } = message;
+// Список близких друзей заменяется целиком
+app.put('/api/close-friends', requireAuth, async (req, res) => {
+    const { userIds } = req.body;
 
-        db.run(`INSERT OR REPLACE INTO reactions (message_id, user_id, reaction) 
-                VALUES (?, ?, ?)`,
-            [messageId, currentUser.id, reaction]);
+    try {
+        if (!Array.isArray(userIds) || userIds.length > MAX_CLOSE_FRIENDS) {
+            throw new AccessError('bad_request', `Передайте список до ${MAX_CLOSE_FRIENDS} пользователей`);
+        }
+        const ids = [...new Set(userIds.map(String))].filter(id => id !== req.user.id);
+        const existing = await selectExistingUserIds(ids);
+        await replaceCloseFriends(req.user.id, existing);
+        res.json({ success: true, count: existing.length });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        db.get('SELECT sender_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row && clients.has(row.sender_id)) {
-                clients.get(row.sender_id).send(JSON.stringify({
-                    type: 'new_reaction',
-                    messageId: messageId,
-                    userId: currentUser.id,
-                    username: currentUser.username,
-                    reaction: reaction
-                }));
-            }
-        });
+// Боты. Бот — пользователь без пароля: его добавляют в чаты как обычного участника,
+// а пишет он через Bot API со своим токеном (Authorization: Bot <токен>). Сообщения для бота
+// копятся в bot_updates: бот забирает их getUpdates с долгим опросом или получает на вебхук.
+// В личном чате бот видит все сообщения, в группах и каналах — только команды вида
+// /команда или /команда@имя_бота и ответы на свои сообщения
+const BOT_USERNAME_PATTERN = /bot$/i;
+const BOT_COMMAND_PATTERN = /^\/([a-zA-Z0-9_]{1,32})(?:@([a-zA-Z0-9_.]{2,30}))?(?:\s+([\s\S]*))?$/;
+const BOT_UPDATE_TYPES = { new_message: 'message', message_edited: 'edited_message' };
+const BOT_UPDATES_LIMIT = 100;
+const BOT_POLL_MAX_TIMEOUT = 50; // секунд
+const BOT_UPDATE_RETENTION = 24 * 60 * 60 * 1000;
+const BOT_WEBHOOK_TIMEOUT = 10 * 1000;
+// Паузы между попытками доставки обновления на вебхук; после последней оно отбрасывается
+const BOT_WEBHOOK_RETRY_DELAYS = [1, 5, 30, 120, 600].map(seconds => seconds * 1000);
+// Хосты, которым можно указывать на внутреннюю сеть (свои боты на том же сервере)
+const BOT_WEBHOOK_ALLOWED_HOSTS = new Set((process.env.BOT_WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Вебхук не должен достучаться до самого сервера и соседей по сети: локальные,
+// частные, служебные и multicast-диапазоны закрыты
+const privateAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const botIds = new Set();
+const botPollers = new Map(); // botId -> Set(wake) — ждущие запросы getUpdates
+const webhookWorkers = new Map(); // botId -> { rerun } — идет доставка очереди на вебхук
+const webhookRetryTimers = new Map(); // botId -> таймер ближайшей повторной попытки
+
+// Токен: "<id бота>:<случайная часть>"; в базе только его sha256
+function createBotToken(botId) {
+    return `${botId}:${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function loadBots() {
+    const bots = await selectBots();
+    bots.forEach(bot => {
+        botIds.add(bot.user_id);
+        // Очередь, не доставленная до перезапуска
+        if (bot.webhook_url) scheduleWebhookDelivery(bot.user_id);
+    });
+}
+
+// «/roll 2 6» → { name: 'roll', mention: null, args: ['2', '6'], text: '2 6' }
+function parseBotCommand(text) {
+    const match = typeof text === 'string' ? text.trim().match(BOT_COMMAND_PATTERN) : null;
+    if (!match) return null;
+    const rest = (match[3] || '').trim();
+    return { name: match[1].toLowerCase(), mention: match[2] || null, args: rest ? rest.split(/\s+/) : [], text: rest };
+}
+
+// Сообщение для бота — кадр new_message без полей клиента, плюс тип чата и разобранная команда
+async function queueBotUpdate(botId, data) {
+    const type = BOT_UPDATE_TYPES[data.type];
+    if (!type || data.senderId === botId || data.editorId === botId) return;
+
+    const [bot, chat] = await Promise.all([
+        findBotWebhook(botId),
+        getChatSummary(data.chatId)
+    ]);
+    if (!bot || !chat) return;
+
+    const text = type === 'message' ? data.text : data.newText;
+    const command = parseBotCommand(text);
+    const addressed = command && (!command.mention || command.mention.toLowerCase() === bot.username.toLowerCase());
+    const replyToBot = data.replyTo && data.replyTo.senderId === botId;
+    if (chat.type !== 'private' && !addressed && !replyToBot) return;
+
+    let message;
+    if (type === 'message') {
+        const { type: frameType, views, read, reactions, replyCount, ...fields } = data;
+        message = fields;
+    } else {
+        message = { id: data.messageId, chatId: data.chatId, editorId: data.editorId, text: data.newText, editedAt: data.editedAt };
     }
+    const payload = { type, message: { ...message, chatType: chat.type, command: addressed ? command : null } };
 
-    async function handleEdit(message) {
-        const { messageId, newText } = message;
-
-        db.run('UPDATE messages SET text = ?, edited = 1 WHERE id = ?', [newText, messageId]);
-
-        db.get('SELECT sender_id, chat_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row) {
-                // Уведомляем участников чата
-                db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [row.chat_id], (err, members) => {
-                    members?.forEach(member => {
-                        if (clients.has(member.user_id) && member.user_id !== currentUser.id) {
-                            clients.get(member.user_id).send(JSON.stringify({
-                                type: 'message_edited',
-                                messageId: messageId,
-                                newText: newText
-                            }));
-                        }
-                    });
-                });
-            }
-        });
+    await insertBotUpdate(botId, type, payload);
+    if (bot.webhook_url) {
+        scheduleWebhookDelivery(botId);
+    } else {
+        wakeBotPollers(botId);
+    }
+}
+
+function formatBotUpdate(row) {
+    return { updateId: row.id, ...JSON.parse(row.payload) };
+}
+
+function wakeBotPollers(botId) {
+    const waiters = botPollers.get(botId);
+    if (!waiters) return;
+    botPollers.delete(botId);
+    waiters.forEach(wake => wake());
+}
+
+// Ждет нового обновления, таймаута или обрыва запроса — что наступит раньше
+function waitForBotUpdate(botId, timeout, res) {
+    return new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            res.off('close', wake);
+            const waiters = botPollers.get(botId);
+            if (waiters) waiters.delete(wake);
+            resolve();
+        };
+        const timer = setTimeout(wake, timeout);
+        res.on('close', wake);
+        if (!botPollers.has(botId)) botPollers.set(botId, new Set());
+        botPollers.get(botId).add(wake);
+    });
+}
+
+// Подпись вебхука: HMAC-SHA256 секретом вебхука от "<timestamp>.<тело запроса>"
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// BlockList сам сопоставляет IPv4-адреса, записанные как ::ffff:a.b.c.d
+function isPrivateAddress(address) {
+    return privateAddresses.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+function isAllowedWebhookHost(hostname) {
+    return BOT_WEBHOOK_ALLOWED_HOSTS.has(hostname.toLowerCase());
+}
+
+// Адрес вебхука проверяется при сохранении, а при доставке соединение идет только на адрес,
+// прошедший проверку в lookup, — подмена DNS между проверкой и запросом не поможет
+async function assertPublicWebhookUrl(href) {
+    const hostname = new URL(href).hostname.replace(/^\[|\]$/g, '');
+    if (isAllowedWebhookHost(hostname)) return;
+
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw new AccessError('bad_request', 'Не удалось найти хост вебхука');
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new AccessError('bad_request', 'Вебхук не может указывать на локальный или внутренний адрес');
     }
+}
 
-    async function handleDelete(message) {
-        const { messageId } = message;
+function publicWebhookLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!isAllowedWebhookHost(hostname) && addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error('хост вебхука указывает на внутренний адрес'));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
 
-        db.run('UPDATE messages SET deleted = 1 WHERE id = ?', [messageId]);
-
-        db.get('SELECT sender_id, chat_id FROM messages WHERE id = ?', [messageId], (err, row) => {
-            if (row) {
-                db.all('SELECT user_id FROM chat_members WHERE chat_id = ?', [row.chat_id], (err, members) => {
-                    members?.forEach(member => {
-                        if (clients.has(member.user_id)) {
-                            clients.get(member.user_id).send(JSON.stringify({
-                                type: 'message_deleted',
-                                messageId: messageId
-                            }));
-                        }
-                    });
-                });
+// Переадресации не выполняются: иначе вебхук мог бы увести запрос на внутренний адрес
+function postWebhook(bot, body) {
+    const url = new URL(bot.webhook_url);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const timestamp = Date.now();
+
+    return new Promise((resolve, reject) => {
+        if (net.isIP(hostname) && isPrivateAddress(hostname) && !isAllowedWebhookHost(hostname)) {
+            return reject(new Error('адрес вебхука во внутренней сети'));
+        }
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'X-FireMess-Timestamp': String(timestamp),
+                'X-FireMess-Signature': `sha256=${signWebhookPayload(bot.webhook_secret, timestamp, body)}`
+            },
+            lookup: publicWebhookLookup,
+            signal: AbortSignal.timeout(BOT_WEBHOOK_TIMEOUT)
+        }, response => {
+            response.resume();
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                resolve();
+            } else {
+                reject(new Error(`вебхук ответил ${response.statusCode}`));
+            }
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Очередь бота доставляется по одному обновлению, по порядку; доставленное удаляется.
+// Бот перечитывается перед каждой попыткой: если вебхук сменили, следующая попытка идет
+// на новый адрес, если сняли — остаток забирается getUpdates. Не доставленное обновление
+// уходит ждать своей паузы в конец очереди, а следующие доставляются без задержки
+async function deliverWebhookQueue(botId) {
+    for (;;) {
+        const bot = await findBotWebhook(botId);
+        if (!bot || !bot.webhook_url) return;
+        const row = await findDueBotUpdate(botId);
+        if (!row) {
+            await scheduleWebhookRetry(botId);
+            return;
+        }
+
+        try {
+            await postWebhook(bot, JSON.stringify(formatBotUpdate(row)));
+            await deleteBotUpdate(row.id);
+        } catch (error) {
+            if (row.attempts >= BOT_WEBHOOK_RETRY_DELAYS.length) {
+                console.error(`❌ Обновление ${row.id} бота ${botId} не доставлено на вебхук:`, error.message);
+                await deleteBotUpdate(row.id);
+            } else {
+                const nextAttempt = new Date(Date.now() + BOT_WEBHOOK_RETRY_DELAYS[row.attempts]);
+                await postponeBotUpdate(row.id, nextAttempt.toISOString());
             }
+        }
+    }
+}
+
+// Будим доставку к ближайшей отложенной попытке
+async function scheduleWebhookRetry(botId) {
+    clearTimeout(webhookRetryTimers.get(botId));
+    webhookRetryTimers.delete(botId);
+
+    const nextAttemptAt = await findNextBotRetry(botId);
+    if (!nextAttemptAt) return;
+
+    const delay = Math.max(new Date(nextAttemptAt).getTime() - Date.now(), 0);
+    webhookRetryTimers.set(botId, setTimeout(() => {
+        webhookRetryTimers.delete(botId);
+        scheduleWebhookDelivery(botId);
+    }, delay).unref());
+}
+
+function scheduleWebhookDelivery(botId) {
+    const running = webhookWorkers.get(botId);
+    if (running) {
+        running.rerun = true;
+        return;
+    }
+    const worker = { rerun: false };
+    webhookWorkers.set(botId, worker);
+    deliverWebhookQueue(botId)
+        .catch(error => console.error('❌ Ошибка доставки на вебхук:', error))
+        .finally(() => {
+            webhookWorkers.delete(botId);
+            if (worker.rerun) scheduleWebhookDelivery(botId);
         });
+}
+
+async function purgeOldBotUpdates() {
+    const cutoff = new Date(Date.now() - BOT_UPDATE_RETENTION).toISOString();
+    await purgeBotUpdatesBefore(cutoff);
+}
+
+setInterval(() => {
+    purgeOldBotUpdates().catch(error => console.error('❌ Ошибка очистки обновлений ботов:', error));
+}, 60 * 60 * 1000);
+
+function formatBot(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        fullname: row.fullname,
+        avatar: row.avatar,
+        webhookUrl: row.webhook_url,
+        pendingUpdates: row.pending_updates,
+        createdAt: row.created_at
+    };
+}
+
+async function assertBotOwner(botId, userId) {
+    const bot = await findOwnedBot(botId, userId);
+    if (!bot) {
+        throw new AccessError('not_found', 'Бот не найден');
+    }
+    return bot;
+}
+
+function parseHttpUrl(value, errorMessage) {
+    let url;
+    try {
+        url = new URL(String(value || ''));
+    } catch (error) {
+        url = null;
     }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new AccessError('bad_request', errorMessage);
+    }
+    return url.href;
+}
 
-    async function handleCall(message) {
-        const { receiverId, callType, type, callId, answer, candidate } = message;
-
-        switch(type) {
-            case 'offer':
-                const newCallId = uuidv4();
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_offer',
-                        callId: newCallId,
-                        callerId: currentUser.id,
-                        callerName: currentUser.username,
-                        callerFullname: currentUser.fullname,
-                        callType: callType
-                    }));
-                    
-                    db.run(`INSERT INTO calls (id, caller_id, receiver_id, type, status, start_time) 
-                            VALUES (?, ?, ?, ?, ?, ?)`,
-                        [newCallId, currentUser.id, receiverId, callType, 'started', new Date().toISOString()]);
-                }
-                break;
+// Управление своими ботами. Токен и секрет вебхука показываются один раз — в ответе,
+// где они созданы
+app.post('/api/bots', requireAuth, async (req, res) => {
+    const username = String(req.body.username || '').trim();
 
-            case 'answer':
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_answer',
-                        callId: callId,
-                        answer: answer
-                    }));
-                }
-                break;
+    try {
+        if (!USERNAME_PATTERN.test(username) || !BOT_USERNAME_PATTERN.test(username)) {
+            throw new AccessError('bad_request', 'Имя бота: 2–30 символов, латиница, цифры, _ и ., заканчивается на bot');
+        }
+        if (await findUserByUsername(username)) {
+            throw new AccessError('conflict', 'Имя пользователя уже занято');
+        }
 
-            case 'candidate':
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_candidate',
-                        callId: callId,
-                        candidate: candidate
-                    }));
-                }
-                break;
+        const botId = uuidv4();
+        const token = createBotToken(botId);
+        const fullname = String(req.body.fullname || '').trim() || username;
+        await insertBot({ id: botId, username, fullname, createdAt: new Date().toISOString() }, req.user.id, hashToken(token));
+        botIds.add(botId);
 
-            case 'end':
-                const endTime = new Date();
-                db.run(`UPDATE calls SET status = ?, end_time = ? WHERE id = ?`, 
-                    ['ended', endTime.toISOString(), callId]);
-                
-                if (clients.has(receiverId)) {
-                    clients.get(receiverId).send(JSON.stringify({
-                        type: 'call_ended',
-                        callId: callId
-                    }));
-                }
-                break;
+        res.json({ success: true, bot: formatBot(await assertBotOwner(botId, req.user.id)), token });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'Имя пользователя уже занято', code: 'conflict' });
         }
+        sendError(res, error);
     }
+});
 
-    function broadcast(data, excludeUserId = null) {
-        clients.forEach((client, userId) => {
-            if (userId !== excludeUserId && client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(data));
-            }
-        });
+app.get('/api/bots', requireAuth, async (req, res) => {
+    try {
+        const bots = await selectOwnedBots(req.user.id);
+        res.json(bots.map(formatBot));
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
-// REST API эндпоинты
-app.get('/api/users', (req, res) => {
-    db.all('SELECT id, username, fullname, email, online, last_seen FROM users', (err, users) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(users);
-        }
-    });
+// Новый токен; прежний сразу перестает действовать
+app.post('/api/bots/:botId/token', requireAuth, async (req, res) => {
+    try {
+        const bot = await assertBotOwner(req.params.botId, req.user.id);
+        const token = createBotToken(bot.id);
+        await setBotToken(bot.id, hashToken(token));
+        res.json({ success: true, token });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-app.get('/api/chats/:userId', (req, res) => {
-    const { userId } = req.params;
-    
-    db.all(`SELECT c.*, 
-            (SELECT m.text FROM messages m WHERE m.chat_id = c.id ORDER BY m.time DESC LIMIT 1) as last_message,
-            (SELECT m.time FROM messages m WHERE m.chat_id = c.id ORDER BY m.time DESC LIMIT 1) as last_message_time
-            FROM chats c
-            LEFT JOIN chat_members cm ON c.id = cm.chat_id
-            WHERE c.id = 'general' OR cm.user_id = ?
-            GROUP BY c.id
-            ORDER BY last_message_time DESC`, [userId], (err, chats) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
+// С вебхуком getUpdates недоступен; каждый новый адрес получает новый секрет подписи
+app.put('/api/bots/:botId/webhook', requireAuth, async (req, res) => {
+    try {
+        const bot = await assertBotOwner(req.params.botId, req.user.id);
+        const url = parseHttpUrl(req.body.url, 'Адрес вебхука должен быть ссылкой http(s)');
+        await assertPublicWebhookUrl(url);
+        const secret = crypto.randomBytes(32).toString('hex');
+        await setBotWebhook(bot.id, url, secret);
+        scheduleWebhookDelivery(bot.id);
+        res.json({ success: true, webhookUrl: url, webhookSecret: secret });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/bots/:botId/webhook', requireAuth, async (req, res) => {
+    try {
+        const bot = await assertBotOwner(req.params.botId, req.user.id);
+        await setBotWebhook(bot.id, null, null);
+        clearTimeout(webhookRetryTimers.get(bot.id));
+        webhookRetryTimers.delete(bot.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Bot API
+function requireBot(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bot ') ? header.slice(4) : '';
+
+    findBotByTokenHash(hashToken(token)).then(bot => {
+        if (!bot) {
+            res.status(401).json({ error: 'Неверный токен бота', code: 'unauthorized' });
         } else {
-            res.json(chats || []);
+            req.bot = bot;
+            next();
         }
-    });
+    }).catch(error => sendError(res, error));
+}
+
+app.get('/api/bot/me', requireBot, (req, res) => {
+    res.json(publicUser(req.bot));
 });
 
-app.get('/api/messages/:chatId', (req, res) => {
-    const { chatId } = req.params;
-    
-    db.all(`SELECT m.*, u.username, u.fullname 
-            FROM messages m 
-            LEFT JOIN users u ON m.sender_id = u.id 
-            WHERE m.chat_id = ? AND m.deleted = 0
-            ORDER BY m.time ASC`, [chatId], (err, messages) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(messages || []);
+// Те же проверки и рассылка, что у кадра message: бот должен быть участником чата
+app.post('/api/bot/sendMessage', requireBot, async (req, res) => {
+    const { chatId, text, replyTo } = req.body;
+
+    try {
+        const message = await postUserMessage(req.bot, { chatId, text, replyTo });
+        const { type, views, read, reactions, replyCount, ...fields } = message;
+        res.json({ success: true, message: fields });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/bot/editMessage', requireBot, async (req, res) => {
+    const { messageId, text } = req.body;
+
+    try {
+        const edit = await editUserMessage(req.bot, { messageId, newText: text });
+        res.json({ success: true, message: { id: edit.messageId, chatId: edit.chatId, text: edit.newText, editedAt: edit.editedAt } });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Как в Telegram: offset — номер первого еще не обработанного обновления, все до него
+// считаются полученными и удаляются; timeout — сколько секунд ждать, если обновлений нет
+app.get('/api/bot/getUpdates', requireBot, async (req, res) => {
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || BOT_UPDATES_LIMIT, 1), BOT_UPDATES_LIMIT);
+    const timeout = Math.min(Math.max(parseInt(req.query.timeout, 10) || 0, 0), BOT_POLL_MAX_TIMEOUT);
+    const selectUpdates = () => selectBotUpdates(req.bot.id, offset, limit);
+
+    try {
+        if (req.bot.webhook_url) {
+            throw new AccessError('conflict', 'У бота настроен вебхук, обновления уходят на него');
         }
-    });
+        if (offset) {
+            await acknowledgeBotUpdates(req.bot.id, offset);
+        }
+
+        let rows = await selectUpdates();
+        if (!rows.length && timeout) {
+            await waitForBotUpdate(req.bot.id, timeout * 1000, res);
+            if (res.writableEnded || res.destroyed) return;
+            rows = await selectUpdates();
+        }
+        res.json({ success: true, updates: rows.map(formatBotUpdate) });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-app.post('/api/chats/create', (req, res) => {
-    const { type, name, members } = req.body;
-    const chatId = uuidv4();
-    const now = new Date();
+// Входящие вебхуки: внешняя система (CI, мониторинг) пишет в чат POST-запросом на секретный
+// адрес /api/hooks/<id>/<токен>. Сообщение идет тем же путем, что и от пользователя, но от имени
+// интеграции — отдельного отправителя без аккаунта, как системные сообщения
+const INCOMING_WEBHOOK_NAME_MAX_LENGTH = 64;
+const INCOMING_WEBHOOK_TEXT_MAX_LENGTH = 4000;
+const INCOMING_WEBHOOK_TITLE_MAX_LENGTH = 256;
+const INCOMING_WEBHOOK_MAX_FIELDS = 20;
+const INCOMING_WEBHOOK_FIELD_MAX_LENGTH = 1000;
+const INCOMING_WEBHOOK_RATE_LIMIT = Number(process.env.INCOMING_WEBHOOK_RATE_LIMIT) || 30;
+const INCOMING_WEBHOOK_RATE_WINDOW = 60 * 1000;
+
+const incomingWebhookHits = new Map(); // webhookId -> время последних сообщений за окно
+
+// Скользящее окно: 0, если сообщение можно принять, иначе сколько мс ждать до следующего
+function takeIncomingWebhookSlot(webhookId) {
+    const now = Date.now();
+    const hits = (incomingWebhookHits.get(webhookId) || []).filter(time => now - time < INCOMING_WEBHOOK_RATE_WINDOW);
+    incomingWebhookHits.set(webhookId, hits);
+    if (hits.length >= INCOMING_WEBHOOK_RATE_LIMIT) {
+        return hits[0] + INCOMING_WEBHOOK_RATE_WINDOW - now;
+    }
+    hits.push(now);
+    return 0;
+}
+
+// Окна без свежих сообщений больше не нужны
+setInterval(() => {
+    const now = Date.now();
+    incomingWebhookHits.forEach((hits, webhookId) => {
+        if (!hits.length || now - hits[hits.length - 1] >= INCOMING_WEBHOOK_RATE_WINDOW) {
+            incomingWebhookHits.delete(webhookId);
+        }
+    });
+}, INCOMING_WEBHOOK_RATE_WINDOW).unref();
 
-    db.run('INSERT INTO chats (id, name, type, created_at) VALUES (?, ?, ?, ?)',
-        [chatId, name || null, type || 'private', now.toISOString()], function(err) {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            // Добавляем участников
-            const stmt = db.prepare('INSERT INTO chat_members (chat_id, user_id, joined_at) VALUES (?, ?, ?)');
-            members.forEach(memberId => {
-                stmt.run(chatId, memberId, now.toISOString());
-            });
-            stmt.finalize();
+function webhookString(value, field, maxLength) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new AccessError('bad_request', `Поле ${field} должно быть строкой`);
+    }
+    const text = String(value).trim();
+    if (text.length > maxLength) {
+        throw new AccessError('bad_request', `Поле ${field} длиннее ${maxLength} символов`);
+    }
+    return text || null;
+}
+
+// { text, title?, fields?: [{ title, value, short? }], attachment?: "url" | { url, title? } }
+function parseIncomingWebhookPayload(body) {
+    const text = webhookString(body.text, 'text', INCOMING_WEBHOOK_TEXT_MAX_LENGTH);
+    if (!text) {
+        throw new AccessError('bad_request', 'Поле text обязательно');
+    }
+    const title = webhookString(body.title, 'title', INCOMING_WEBHOOK_TITLE_MAX_LENGTH);
 
-            res.json({ success: true, chatId: chatId });
+    if (body.fields !== undefined && !Array.isArray(body.fields)) {
+        throw new AccessError('bad_request', 'Поле fields должно быть массивом');
+    }
+    const fields = body.fields || [];
+    if (fields.length > INCOMING_WEBHOOK_MAX_FIELDS) {
+        throw new AccessError('bad_request', `Не больше ${INCOMING_WEBHOOK_MAX_FIELDS} полей`);
+    }
+    const parsedFields = fields.map(field => {
+        const fieldTitle = webhookString(field && field.title, 'fields.title', INCOMING_WEBHOOK_FIELD_MAX_LENGTH);
+        const value = webhookString(field && field.value, 'fields.value', INCOMING_WEBHOOK_FIELD_MAX_LENGTH);
+        if (!fieldTitle || !value) {
+            throw new AccessError('bad_request', 'У каждого поля должны быть title и value');
         }
+        return { title: fieldTitle, value, short: Boolean(field.short) };
     });
-});
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
-    if (req.file) {
-        const fileUrl = `/uploads/${req.file.filename}`;
-        res.json({
-            success: true,
-            filename: req.file.filename,
-            path: fileUrl,
-            size: req.file.size
+    let attachment = null;
+    if (body.attachment) {
+        const link = typeof body.attachment === 'string' ? { url: body.attachment } : body.attachment;
+        attachment = {
+            url: parseHttpUrl(link.url, 'Ссылка во вложении должна быть http(s)'),
+            title: webhookString(link.title, 'attachment.title', INCOMING_WEBHOOK_TITLE_MAX_LENGTH)
+        };
+    }
+
+    return { text, title, fields: parsedFields, attachment };
+}
+
+function createIncomingWebhookToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function incomingWebhookUrl(req, webhookId, token) {
+    return `${req.protocol}://${req.get('host')}/api/hooks/${webhookId}/${token}`;
+}
+
+function formatIncomingWebhook(row) {
+    return {
+        id: row.id,
+        chatId: row.chat_id,
+        name: row.name,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        rotatedAt: row.rotated_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+async function findIncomingWebhook(chatId, webhookId) {
+    const webhook = await findChatWebhook(chatId, webhookId);
+    if (!webhook) {
+        throw new AccessError('not_found', 'Вебхук не найден');
+    }
+    return webhook;
+}
+
+// Сам вебхук: авторизация — токен в адресе, поэтому requireAuth не нужен
+app.post('/api/hooks/:webhookId/:token', async (req, res) => {
+    try {
+        const webhook = await findWebhookByToken(req.params.webhookId, hashToken(req.params.token));
+        if (!webhook) {
+            throw new AccessError('not_found', 'Вебхук не найден или отозван');
+        }
+
+        const { text, title, fields, attachment } = parseIncomingWebhookPayload(req.body || {});
+        const retryAfter = takeIncomingWebhookSlot(webhook.id);
+        if (retryAfter) {
+            res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+            throw new AccessError('rate_limited', 'Слишком много сообщений, повторите позже');
+        }
+        const message = await sendChatMessage({
+            chatId: webhook.chat_id,
+            sender: { id: `webhook:${webhook.id}`, username: webhook.name, fullname: webhook.name },
+            text,
+            meta: { integration: { id: webhook.id, name: webhook.name }, title, fields, attachment }
         });
-    } else {
-        res.status(400).json({ error: 'No file uploaded' });
+        await touchIncomingWebhook(webhook.id, message.time.toISOString());
+
+        console.log(`🔌 Вебхук ${webhook.name} написал в чат ${webhook.chat_id}`);
+        res.json({ success: true, messageId: message.id });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
-app.get('/api/stories', (req, res) => {
-    db.all(`SELECT s.*, u.username, u.fullname 
-            FROM stories s
-            JOIN users u ON s.user_id = u.id
-            WHERE s.expires_at > datetime('now')
-            ORDER BY s.created_at DESC`, (err, stories) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-        } else {
-            res.json(stories || []);
+// Управление вебхуками чата — для администраторов группы или канала. Адрес с токеном
+// показывается один раз, при создании и замене токена
+app.post('/api/chats/:chatId/webhooks', requireAuth, async (req, res) => {
+    const name = String(req.body.name || '').trim();
+
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        if (!name || name.length > INCOMING_WEBHOOK_NAME_MAX_LENGTH) {
+            throw new AccessError('bad_request', `Название — от 1 до ${INCOMING_WEBHOOK_NAME_MAX_LENGTH} символов`);
         }
-    });
+
+        const webhookId = uuidv4();
+        const token = createIncomingWebhookToken();
+        const webhook = await insertIncomingWebhook({
+            id: webhookId,
+            chatId: req.params.chatId,
+            name,
+            tokenHash: hashToken(token),
+            createdBy: req.user.id
+        });
+
+        console.log(`🔌 ${req.user.username} создал вебхук ${name} в чате ${req.params.chatId}`);
+        res.json({ success: true, webhook: formatIncomingWebhook(webhook), url: incomingWebhookUrl(req, webhookId, token) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/chats/:chatId/webhooks', requireAuth, async (req, res) => {
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        const webhooks = await selectChatWebhooks(req.params.chatId);
+        res.json({ success: true, webhooks: webhooks.map(formatIncomingWebhook) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Новый токен сразу заменяет старый: прежний адрес перестает работать
+app.post('/api/chats/:chatId/webhooks/:webhookId/rotate', requireAuth, async (req, res) => {
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        const webhook = await findIncomingWebhook(req.params.chatId, req.params.webhookId);
+
+        const token = createIncomingWebhookToken();
+        await rotateIncomingWebhook(webhook.id, hashToken(token));
+        res.json({ success: true, url: incomingWebhookUrl(req, webhook.id, token) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/chats/:chatId/webhooks/:webhookId', requireAuth, async (req, res) => {
+    try {
+        await assertGroupManagement(req.params.chatId, req.user.id);
+        const webhook = await findIncomingWebhook(req.params.chatId, req.params.webhookId);
+
+        await revokeIncomingWebhook(webhook.id);
+        incomingWebhookHits.delete(webhook.id);
+
+        console.log(`🔌 ${req.user.username} отозвал вебхук ${webhook.name} в чате ${webhook.chat_id}`);
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
 // Для всех остальных запросов отдаем index.html
@@ -1110,11 +3827,48 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// База готовится до приема запросов: миграции, затем данные, которые приводятся в порядок
+// при каждом запуске
+async function prepareDatabase() {
+    await migrate();
+
+    // Состояние звонков живет в памяти: после перезапуска незавершенные считаем прерванными
+    await closeInterruptedCalls();
+    // И соединения тоже: после перезапуска в сети никого нет, пока не подключится заново
+    await resetOnlineUsers();
+
+    // Создаем общий чат, если его нет
+    if (await createGeneralChat()) {
+
+        // Добавляем тестовые сообщения
+        const testMessages = [
+            { id: uuidv4(), text: 'Добро пожаловать в FireMess! 🔥', time: new Date(Date.now() - 86400000) },
+            { id: uuidv4(), text: 'Здесь собраны лучшие функции Telegram и Instagram', time: new Date(Date.now() - 82800000) },
+            { id: uuidv4(), text: 'Отправляйте сообщения, фото, стикеры', time: new Date(Date.now() - 79200000) },
+            { id: uuidv4(), text: 'Добавляйте stories и реагируйте на сообщения', time: new Date(Date.now() - 75600000) }
+        ];
+        for (const msg of testMessages) {
+            await insertMessage({ id: msg.id, chatId: 'general', senderId: 'system', text: msg.text, time: msg.time.toISOString() });
+            await indexMessageText(msg.id, msg.text);
+        }
+    }
+
+    // Все пользователи — участники общего чата; боты попадают только в те чаты, куда их добавили
+    await addUsersToGeneralChat();
+
+    await loadBots();
+}
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`\n🔥 FireMess сервер запущен!`);
-    console.log(`📱 Локальный адрес: http://localhost:${PORT}`);
-    console.log(`🌐 Для Render.com: https://firemess.onrender.com`);
-    console.log(`📡 WebSocket: ws://localhost:${PORT} (или wss:// для Render)`);
-    console.log(`\n✅ Все готово к работе!\n`);
+prepareDatabase().then(() => {
+    server.listen(PORT, '0.0.0.0', () => {
+        console.log(`\n🔥 FireMess сервер запущен!`);
+        console.log(`📱 Локальный адрес: http://localhost:${PORT}`);
+        console.log(`🌐 Для Render.com: https://firemess.onrender.com`);
+        console.log(`📡 WebSocket: ws://localhost:${PORT} (или wss:// для Render)`);
+        console.log(`\n✅ Все готово к работе!\n`);
+    });
+}).catch(error => {
+    console.error('❌ Ошибка подготовки базы данных:', error);
+    process.exit(1);
 });